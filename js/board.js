@@ -2,15 +2,34 @@
  * Board - Handles board generation, mine placement, and cell management
  */
 const Board = (function() {
+  // Bits for the visible state of a cell, used to invert moves
+  const STATE_REVEALED = 1;
+  const STATE_FLAGGED = 2;
+  const STATE_QUESTION = 4;
+  const STATE_EXPLODED = 8;
+  const STATE_WRONG_FLAG = 16;
+  
   /**
    * Create a new board
    * @param {number} rows - Number of rows
    * @param {number} cols - Number of columns
    * @param {number} mineCount - Number of mines
    * @param {Object} powerupConfig - Power-up configuration
+   * @param {Object} options - Generation options
+   * @param {number} options.seed - Seed for the random number generator
+   * @param {Function} options.random - Custom generator returning floats in [0, 1); the board then has no seed
+   * @param {boolean} options.noGuess - Only accept layouts solvable without guessing
+   * @param {number} options.maxAttempts - Layouts to try before giving up on no-guess
    * @returns {Object} Board state
    */
-  function create(rows, cols, mineCount, powerupConfig) {
+  function create(rows, cols, mineCount, powerupConfig, options = {}) {
+    let seed = null;
+    if (options.seed !== undefined && options.seed !== null) {
+      seed = options.seed >>> 0;
+    } else if (!options.random) {
+      seed = Random.generateSeed();
+    }
+    
     const cells = [];
     
     for (let row = 0; row < rows; row++) {
@@ -35,7 +54,15 @@ const Board = (function() {
       mineCount,
       cells,
       minesPlaced: false,
-      powerupConfig
+      bbbv: 0,
+      firstClick: null,
+      fixedLayout: false,
+      powerupConfig,
+      seed,
+      random: options.random || Random.create(seed),
+      noGuess: !!options.noGuess,
+      noGuessFailed: false,
+      maxAttempts: options.maxAttempts || 1000
     };
   }
   
@@ -104,29 +131,148 @@ const Board = (function() {
       }
     }
     
-    // Shuffle and pick mine positions
-    shuffleArray(validPositions);
-    const minePositions = validPositions.slice(0, Math.min(board.mineCount, validPositions.length));
+    // Pick a layout, regenerating until it can be cleared by logic alone
+    // when no-guess mode is on
+    const maxAttempts = board.noGuess ? board.maxAttempts : 1;
+    board.solvable = false;
+    
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      layMines(board, validPositions);
+      board.generationAttempts = attempt;
+      
+      if (board.noGuess && Solver.isSolvable(board, safeRow, safeCol)) {
+        board.solvable = true;
+        break;
+      }
+    }
+    
+    // Keep the last layout; noGuess stays set because the seed only
+    // reproduces this layout when generated the same way
+    board.noGuessFailed = board.noGuess && !board.solvable;
+    
+    // The seed and this cell together reproduce the layout
+    board.firstClick = { row: safeRow, col: safeCol };
+    board.bbbv = get3BV(board).total;
     
-    // Place mines
-    for (const pos of minePositions) {
-      board.cells[pos].isMine = true;
+    // Place power-ups on safe cells
+    if (board.powerupConfig && board.powerupConfig.enabled) {
+      placePowerups(board);
     }
     
-    // Calculate adjacent mine counts
+    board.minesPlaced = true;
+  }
+  
+  /**
+   * Shuffle mines into the given positions and recompute adjacent counts
+   * @param {Object} board - Board state
+   * @param {Array} validPositions - Cell indices allowed to hold a mine
+   */
+  function layMines(board, validPositions) {
+    shuffleArray(validPositions, board.random);
+    const minePositions = new Set(validPositions.slice(0, Math.min(board.mineCount, validPositions.length)));
+    
     for (const cell of board.cells) {
-      if (!cell.isMine) {
-        const adjacent = getAdjacentCells(board, cell.row, cell.col);
-        cell.adjacentMines = adjacent.filter(c => c.isMine).length;
-      }
+      cell.isMine = minePositions.has(cell.index);
     }
     
-    // Place power-ups on safe cells
+    updateAdjacentCounts(board);
+  }
+  
+  /**
+   * Recompute adjacent mine counts for every cell
+   * @param {Object} board - Board state
+   */
+  function updateAdjacentCounts(board) {
+    for (const cell of board.cells) {
+      const adjacent = getAdjacentCells(board, cell.row, cell.col);
+      cell.adjacentMines = cell.isMine ? 0 : adjacent.filter(c => c.isMine).length;
+    }
+  }
+  
+  /**
+   * Place mines at known positions instead of at random
+   *
+   * Used for imported boards. Power-ups are only added when the board has
+   * them enabled; they come from the board's seed, so the same seed and
+   * layout always give the same power-ups.
+   * @param {Object} board - Board state
+   * @param {Array} mineIndexes - Indices of the cells that hold a mine
+   */
+  function setMines(board, mineIndexes) {
+    const minePositions = new Set(mineIndexes);
+    
+    for (const cell of board.cells) {
+      cell.isMine = minePositions.has(cell.index);
+      cell.powerup = null;
+    }
+    
+    updateAdjacentCounts(board);
+    board.bbbv = get3BV(board).total;
+    board.mineCount = minePositions.size;
     if (board.powerupConfig && board.powerupConfig.enabled) {
       placePowerups(board);
     }
     
     board.minesPlaced = true;
+    board.fixedLayout = true;
+  }
+  
+  /**
+   * Work out the board's 3BV: the fewest left clicks that clear it
+   *
+   * Each opening (a connected area of zeros with its numbered border) takes
+   * one click, and every number outside an opening takes one more.
+   * @param {Object} board - Board state with mines placed
+   * @returns {Object} { total, solved } where solved counts the openings and numbers already revealed
+   */
+  function get3BV(board) {
+    const inOpening = new Uint8Array(board.cells.length);
+    let total = 0;
+    let solved = 0;
+    
+    for (const start of board.cells) {
+      if (start.isMine || start.adjacentMines > 0 || inOpening[start.index]) continue;
+      
+      // Flood the opening; it is solved once its zeros are revealed
+      let revealed = false;
+      const stack = [start];
+      inOpening[start.index] = 1;
+      
+      while (stack.length > 0) {
+        const cell = stack.pop();
+        if (cell.adjacentMines > 0) continue;
+        
+        revealed = revealed || cell.isRevealed;
+        for (const adjacent of getAdjacentCells(board, cell.row, cell.col)) {
+          if (!inOpening[adjacent.index]) {
+            inOpening[adjacent.index] = 1;
+            stack.push(adjacent);
+          }
+        }
+      }
+      
+      total++;
+      if (revealed) solved++;
+    }
+    
+    for (const cell of board.cells) {
+      if (cell.isMine || inOpening[cell.index]) continue;
+      
+      total++;
+      if (cell.isRevealed) solved++;
+    }
+    
+    return { total, solved };
+  }
+  
+  /**
+   * Get the largest mine count a board can hold
+   * @param {number} rows - Number of rows
+   * @param {number} cols - Number of columns
+   * @returns {number} Cells left after the 3x3 safe zone placeMines keeps around the first click
+   */
+  function getMaxMines(rows, cols) {
+    return Math.max(0, rows * cols - 9);
   }
   
   /**
@@ -139,8 +285,8 @@ const Board = (function() {
     const spawnChance = board.powerupConfig.spawnChance || 0.05;
     
     for (const cell of safeCells) {
-      if (Math.random() < spawnChance) {
-        const type = powerupTypes[Math.floor(Math.random() * powerupTypes.length)];
+      if (board.random() < spawnChance) {
+        const type = powerupTypes[Math.floor(board.random() * powerupTypes.length)];
         cell.powerup = type;
       }
     }
@@ -316,7 +462,7 @@ const Board = (function() {
   function getRandomSafeCell(board) {
     const safeCells = board.cells.filter(c => !c.isMine && !c.isRevealed && !c.isFlagged);
     if (safeCells.length === 0) return null;
-    return safeCells[Math.floor(Math.random() * safeCells.length)];
+    return safeCells[Math.floor(board.random() * safeCells.length)];
   }
   
   /**
@@ -327,16 +473,151 @@ const Board = (function() {
   function getRandomUnflaggedMine(board) {
     const mines = board.cells.filter(c => c.isMine && !c.isFlagged && !c.isRevealed);
     if (mines.length === 0) return null;
-    return mines[Math.floor(Math.random() * mines.length)];
+    return mines[Math.floor(board.random() * mines.length)];
+  }
+  
+  /**
+   * Capture the visible state of every cell
+   * @param {Object} board - Board state
+   * @returns {Uint8Array} State bits per cell index
+   */
+  function captureStates(board) {
+    const states = new Uint8Array(board.cells.length);
+    
+    for (const cell of board.cells) {
+      states[cell.index] = (cell.isRevealed ? STATE_REVEALED : 0) |
+        (cell.isFlagged ? STATE_FLAGGED : 0) |
+        (cell.isQuestion ? STATE_QUESTION : 0) |
+        (cell.exploded ? STATE_EXPLODED : 0) |
+        (cell.wrongFlag ? STATE_WRONG_FLAG : 0);
+    }
+    
+    return states;
+  }
+  
+  /**
+   * List the cells whose state changed since a capture
+   *
+   * Covers everything a move can do: cascades, chords, shield flags and the
+   * mines shown on game over, so the result can be applied in either direction.
+   * @param {Object} board - Board state
+   * @param {Uint8Array} before - States from captureStates
+   * @returns {Array} Changes of the form { index, before, after }
+   */
+  function diffStates(board, before) {
+    const after = captureStates(board);
+    const changes = [];
+    
+    for (let i = 0; i < after.length; i++) {
+      if (after[i] !== before[i]) {
+        changes.push({ index: i, before: before[i], after: after[i] });
+      }
+    }
+    
+    return changes;
+  }
+  
+  /**
+   * Apply recorded changes forwards (redo) or backwards (undo)
+   * @param {Object} board - Board state
+   * @param {Array} changes - Changes from diffStates
+   * @param {boolean} forward - Apply the after state instead of the before state
+   * @returns {Array} Cells that changed
+   */
+  function applyStates(board, changes, forward) {
+    return changes.map(change => {
+      const cell = board.cells[change.index];
+      const state = forward ? change.after : change.before;
+      
+      cell.isRevealed = (state & STATE_REVEALED) !== 0;
+      cell.isFlagged = (state & STATE_FLAGGED) !== 0;
+      cell.isQuestion = (state & STATE_QUESTION) !== 0;
+      cell.exploded = (state & STATE_EXPLODED) !== 0;
+      cell.wrongFlag = (state & STATE_WRONG_FLAG) !== 0;
+      
+      return cell;
+    });
+  }
+  
+  /**
+   * Serialize a board for saving
+   * @param {Object} board - Board state
+   * @returns {Object} Plain data for JSON storage
+   */
+  function serialize(board) {
+    const powerups = {};
+    let cells = '';
+    
+    for (const cell of board.cells) {
+      const bits = (cell.isMine ? 1 : 0) | (cell.isRevealed ? 2 : 0) |
+        (cell.isFlagged ? 4 : 0) | (cell.isQuestion ? 8 : 0);
+      cells += bits.toString(16);
+      
+      if (cell.powerup) {
+        powerups[cell.index] = cell.powerup;
+      }
+    }
+    
+    return {
+      rows: board.rows,
+      cols: board.cols,
+      mineCount: board.mineCount,
+      seed: board.seed,
+      randomState: board.random.getState ? board.random.getState() : null,
+      minesPlaced: board.minesPlaced,
+      firstClick: board.firstClick,
+      fixedLayout: board.fixedLayout,
+      noGuess: board.noGuess,
+      noGuessFailed: board.noGuessFailed,
+      cells,
+      powerups
+    };
+  }
+  
+  /**
+   * Restore a board saved with serialize
+   * @param {Object} data - Serialized board
+   * @param {Object} powerupConfig - Power-up configuration
+   * @returns {Object} Board state
+   */
+  function deserialize(data, powerupConfig) {
+    // A board laid without a seed keeps having none; its draws go on from the saved state
+    const board = create(data.rows, data.cols, data.mineCount, powerupConfig, {
+      seed: data.seed,
+      random: data.seed === null ? Random.create(0) : undefined,
+      noGuess: !!data.noGuess
+    });
+    
+    if (data.randomState !== null && board.random.setState) {
+      board.random.setState(data.randomState);
+    }
+    
+    for (const cell of board.cells) {
+      const bits = parseInt(data.cells[cell.index], 16);
+      cell.isMine = (bits & 1) !== 0;
+      cell.isRevealed = (bits & 2) !== 0;
+      cell.isFlagged = (bits & 4) !== 0;
+      cell.isQuestion = (bits & 8) !== 0;
+      cell.powerup = data.powerups[cell.index] || null;
+    }
+    
+    updateAdjacentCounts(board);
+    board.minesPlaced = data.minesPlaced;
+    board.bbbv = board.minesPlaced ? get3BV(board).total : 0;
+    board.firstClick = data.firstClick || null;
+    board.fixedLayout = !!data.fixedLayout;
+    board.noGuessFailed = !!data.noGuessFailed;
+    return board;
   }
   
   /**
    * Shuffle array in place (Fisher-Yates)
    * @param {Array} array - Array to shuffle
+   * @param {Function} random - Generator returning floats in [0, 1)
    */
-  function shuffleArray(array) {
+  function shuffleArray(array, random) {
     for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [array[i], array[j]] = [array[j], array[i]];
     }
   }
@@ -345,7 +626,10 @@ const Board = (function() {
     create,
     getCell,
     getAdjacentCells,
+    getMaxMines,
     placeMines,
+    setMines,
+    get3BV,
     revealCell,
     chordReveal,
     toggleFlag,
@@ -353,7 +637,12 @@ const Board = (function() {
     getFlagCount,
     revealAllMines,
     getRandomSafeCell,
-    getRandomUnflaggedMine
+    getRandomUnflaggedMine,
+    captureStates,
+    diffStates,
+    applyStates,
+    serialize,
+    deserialize
   };
 })();
 
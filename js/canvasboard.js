@@ -0,0 +1,500 @@
+/**
+ * CanvasBoard - Canvas 2D rendering of the board, for boards too large for
+ * one element per cell
+ *
+ * Cells are drawn from the same cell data the DOM board uses. Changes only
+ * mark their cells dirty; the dirty cells are redrawn together on the next
+ * animation frame.
+ */
+const CanvasBoard = (function() {
+  let canvas = null;
+  let ctx = null;
+  let rows = 0;
+  let cols = 0;
+  let cellSize = 24;
+  let cells = []; // Cell data by cell index
+  let colors = {};
+  let dirty = new Set();
+  let frame = null;
+  let cascadeFrame = null;
+  let cascadeQueue = []; // Cells of every running cascade, in reveal order
+  let cascadeNext = 0; // Next queued cell to draw
+  let cascadeDelay = 0;
+  let cascadeTime = 0; // When the last cascade batch was drawn
+  
+  // Overlays drawn over the cells
+  let probabilities = new Map(); // Cell index to probability label
+  let hintMarks = new Map(); // Cell index to 'target-safe', 'target-mine', 'region' or 'source'
+  let detectorIndex = null;
+  let cursorIndex = null;
+  
+  // A cascade draws at least one cell per this many cells on the board each frame
+  const CASCADE_BATCH_CELLS = 400;
+  
+  // Largest canvas iOS Safari will draw, in device pixels; bigger ones stay blank
+  const MAX_CANVAS_PIXELS = 16 * 1024 * 1024;
+  
+  const POWERUP_COLORS = {
+    shield: '--powerup-shield',
+    detector: '--powerup-detector',
+    freeze: '--powerup-freeze',
+    safeReveal: '--powerup-safe'
+  };
+  
+  /**
+   * Create the canvas for a board inside the board element
+   * @param {HTMLElement} boardEl - Board element, emptied by the caller
+   * @param {Object} board - Board state
+   */
+  function createBoard(boardEl, board) {
+    destroy();
+    
+    rows = board.rows;
+    cols = board.cols;
+    cells = board.cells.slice();
+    readColors();
+    
+    canvas = document.createElement('canvas');
+    canvas.className = 'board-canvas';
+    canvas.setAttribute('tabindex', '0');
+    canvas.setAttribute('role', 'application');
+    canvas.setAttribute('aria-label', `Minefield, ${rows} rows by ${cols} columns`);
+    boardEl.appendChild(canvas);
+    
+    // Draw at the screen's pixel density so numbers stay sharp, lowering it
+    // on boards too big for the browser to hold at full density
+    const width = cols * cellSize;
+    const height = rows * cellSize;
+    const ratio = Math.min(window.devicePixelRatio || 1, Math.sqrt(MAX_CANVAS_PIXELS / (width * height)));
+    canvas.width = Math.floor(width * ratio);
+    canvas.height = Math.floor(height * ratio);
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+    
+    ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    
+    ctx.scale(canvas.width / width, canvas.height / height);
+    markAllDirty();
+  }
+  
+  /**
+   * Read the board colors and cell size from the page's CSS variables
+   */
+  function readColors() {
+    const style = getComputedStyle(document.documentElement);
+    const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+    
+    cellSize = parseFloat(read('--cell-size', '24px')) || 24;
+    colors = {
+      cell: read('--cell-bg', '#c0c0c0'),
+      revealed: read('--cell-revealed', '#bdbdbd'),
+      light: read('--win-light', '#ffffff'),
+      dark: read('--win-dark', '#808080'),
+      title: read('--win-title', '#000080'),
+      text: read('--win-text', '#000000'),
+      mine: read('--mine-color', '#000000'),
+      exploded: read('--mine-exploded', '#ff0000'),
+      flag: read('--flag-color', '#ff0000'),
+      flagPole: read('--flag-pole', '#000000'),
+      numbers: [1, 2, 3, 4, 5, 6, 7, 8].map(n => read(`--num-${n}`, '#000000')),
+      powerups: {},
+      mineImage: loadImage(read('--mine-image', '')),
+      flagImage: loadImage(read('--flag-image', ''))
+    };
+    for (const [type, name] of Object.entries(POWERUP_COLORS)) {
+      colors.powerups[type] = read(name, '#ffff00');
+    }
+  }
+  
+  /**
+   * Load a theme image, redrawing the board once it is ready
+   * @param {string} value - CSS url() value, or empty for none
+   * @returns {HTMLImageElement|null} Image, or null if the theme has none
+   */
+  function loadImage(value) {
+    const match = /^url\(\s*["']?(.*?)["']?\s*\)$/.exec(value);
+    if (!match) return null;
+    
+    const image = new Image();
+    image.onload = markAllDirty;
+    image.src = match[1];
+    return image;
+  }
+  
+  /**
+   * Draw a theme image over most of a cell
+   * @param {HTMLImageElement|null} image - Image from loadImage
+   * @param {number} size - Cell size
+   * @returns {boolean} Whether the image was drawn
+   */
+  function drawImage(image, size) {
+    if (!image || !image.complete || !image.naturalWidth) return false;
+    
+    ctx.drawImage(image, size * 0.1, size * 0.1, size * 0.8, size * 0.8);
+    return true;
+  }
+  
+  /**
+   * Update a single cell
+   * @param {Object} cell - Cell data
+   */
+  function updateCell(cell) {
+    const index = cell.row * cols + cell.col;
+    cells[index] = cell;
+    markDirty(index);
+  }
+  
+  /**
+   * Update cells a batch at a time, as many each frame as the delay allows
+   * and never fewer than the board's size calls for
+   *
+   * A cascade that starts while another is still drawing joins its queue.
+   * @param {Array} revealed - Cells to update, in reveal order
+   * @param {number} delay - Delay between cells in ms
+   */
+  function updateCellsCascade(revealed, delay) {
+    for (const cell of revealed) {
+      cascadeQueue.push(cell);
+    }
+    cascadeDelay = delay;
+    
+    if (cascadeFrame === null) {
+      cascadeTime = performance.now();
+      cascadeFrame = requestAnimationFrame(stepCascade);
+    }
+  }
+  
+  /**
+   * Draw the next batch of cascading cells
+   * @param {number} now - Frame time
+   */
+  function stepCascade(now) {
+    const minBatch = Math.ceil(rows * cols / CASCADE_BATCH_CELLS);
+    const due = cascadeDelay > 0 ? Math.floor((now - cascadeTime) / cascadeDelay) : cascadeQueue.length;
+    const end = Math.min(cascadeQueue.length, cascadeNext + Math.max(minBatch, due, 1));
+    for (; cascadeNext < end; cascadeNext++) {
+      updateCell(cascadeQueue[cascadeNext]);
+    }
+    cascadeTime = now;
+    
+    if (cascadeNext < cascadeQueue.length) {
+      Sound.playCascade();
+      cascadeFrame = requestAnimationFrame(stepCascade);
+    } else {
+      cascadeQueue = [];
+      cascadeNext = 0;
+      cascadeFrame = null;
+    }
+  }
+  
+  /**
+   * Show mine probabilities over covered cells
+   * @param {Map} values - Map of cell index to mine probability
+   * @param {boolean} exact - Whether the probabilities are exact or estimated
+   */
+  function showProbabilities(values, exact) {
+    clearProbabilities();
+    values.forEach((probability, index) => {
+      probabilities.set(index, { probability, label: (exact ? '' : '~') + Math.round(probability * 100) });
+      markDirty(index);
+    });
+  }
+  
+  /**
+   * Remove the probability overlay
+   */
+  function clearProbabilities() {
+    probabilities.forEach((value, index) => markDirty(index));
+    probabilities = new Map();
+  }
+  
+  /**
+   * Mark a hint's cells
+   * @param {Object} hint - Hint from Solver.getHint
+   */
+  function showHint(hint) {
+    clearHint();
+    hint.cells.forEach(index => hintMarks.set(index, 'region'));
+    hint.sources.forEach(index => hintMarks.set(index, 'source'));
+    if (hint.cell) {
+      hintMarks.set(hint.cell.index, hint.type === 'mine' ? 'target-mine' : 'target-safe');
+    }
+    hintMarks.forEach((mark, index) => markDirty(index));
+  }
+  
+  /**
+   * Remove the hint marks
+   */
+  function clearHint() {
+    hintMarks.forEach((mark, index) => markDirty(index));
+    hintMarks = new Map();
+  }
+  
+  /**
+   * Ring the mine found by the detector
+   * @param {Object|null} cell - Mine cell, or null to clear
+   */
+  function setDetectorHighlight(cell) {
+    if (detectorIndex !== null) {
+      markDirty(detectorIndex);
+    }
+    detectorIndex = cell ? cell.row * cols + cell.col : null;
+    if (detectorIndex !== null) {
+      markDirty(detectorIndex);
+    }
+  }
+  
+  /**
+   * Draw the keyboard cursor on a cell
+   * @param {number} row - Row index
+   * @param {number} col - Column index
+   */
+  function setCursor(row, col) {
+    if (cursorIndex !== null) {
+      markDirty(cursorIndex);
+    }
+    cursorIndex = row * cols + col;
+    markDirty(cursorIndex);
+  }
+  
+  /**
+   * Get the cell data last drawn at a position
+   * @param {number} row - Row index
+   * @param {number} col - Column index
+   * @returns {Object|undefined} Cell data
+   */
+  function getCell(row, col) {
+    return cells[row * cols + col];
+  }
+  
+  /**
+   * Mark a cell for redrawing on the next frame
+   * @param {number} index - Cell index
+   */
+  function markDirty(index) {
+    dirty.add(index);
+    if (frame === null && ctx) {
+      frame = requestAnimationFrame(draw);
+    }
+  }
+  
+  /**
+   * Mark every cell for redrawing
+   */
+  function markAllDirty() {
+    for (let index = 0; index < rows * cols; index++) {
+      markDirty(index);
+    }
+  }
+  
+  /**
+   * Redraw the dirty cells
+   */
+  function draw() {
+    frame = null;
+    dirty.forEach(drawCell);
+    dirty.clear();
+  }
+  
+  /**
+   * Draw one cell with its overlays
+   * @param {number} index - Cell index
+   */
+  function drawCell(index) {
+    const cell = cells[index];
+    if (!cell) return;
+    
+    const x = (index % cols) * cellSize;
+    const y = Math.floor(index / cols) * cellSize;
+    const size = cellSize;
+    const mid = size / 2;
+    
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.clearRect(0, 0, size, size);
+    
+    if (cell.isRevealed || cell.wrongFlag) {
+      let background = colors.revealed;
+      if (cell.isMine && cell.exploded) {
+        background = colors.exploded;
+      } else if (cell.isRevealed && cell.powerup) {
+        background = colors.powerups[cell.powerup] || colors.revealed;
+      }
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, size, size);
+      ctx.strokeStyle = colors.dark;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(0.5, 0.5, size - 1, size - 1);
+      
+      if (cell.isMine && cell.isRevealed) {
+        drawMine(mid, size);
+      } else if (cell.wrongFlag) {
+        drawText('X', '#ff0000', mid, size * 0.75);
+      } else if (!cell.powerup && cell.adjacentMines > 0) {
+        drawText(String(cell.adjacentMines), colors.numbers[cell.adjacentMines - 1], mid, size * 0.6);
+      }
+    } else {
+      // Raised cell: light top and left edges, dark bottom and right
+      const edge = Math.max(2, Math.round(size / 8));
+      ctx.fillStyle = colors.dark;
+      ctx.fillRect(0, 0, size, size);
+      ctx.fillStyle = colors.light;
+      ctx.beginPath();
+      ctx.moveTo(0, 0);
+      ctx.lineTo(size, 0);
+      ctx.lineTo(size - edge, edge);
+      ctx.lineTo(edge, size - edge);
+      ctx.lineTo(0, size);
+      ctx.closePath();
+      ctx.fill();
+      ctx.fillStyle = colors.cell;
+      ctx.fillRect(edge, edge, size - edge * 2, size - edge * 2);
+      
+      if (cell.isFlagged) {
+        drawFlag(size);
+      } else if (cell.isQuestion) {
+        drawText('?', colors.text, mid, size * 0.65);
+      }
+    }
+    
+    drawOverlays(index, size);
+    ctx.restore();
+  }
+  
+  /**
+   * Draw the probability, hint, detector and cursor marks of a cell
+   * @param {number} index - Cell index
+   * @param {number} size - Cell size
+   */
+  function drawOverlays(index, size) {
+    const probability = probabilities.get(index);
+    if (probability) {
+      ctx.fillStyle = `hsla(${120 - probability.probability * 120}, 80%, 50%, 0.45)`;
+      ctx.fillRect(0, 0, size, size);
+      ctx.fillStyle = '#000000';
+      ctx.font = `${Math.round(size * 0.38)}px sans-serif`;
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(probability.label, size - 1, size);
+    }
+    
+    const mark = hintMarks.get(index);
+    const rings = {
+      region: ['rgba(0, 0, 128, 0.5)', 2],
+      source: [colors.title, 2],
+      'target-safe': ['#008000', 3],
+      'target-mine': ['#ff0000', 3]
+    };
+    if (mark) {
+      ring(rings[mark][0], rings[mark][1], size);
+    }
+    if (index === detectorIndex) {
+      ring(colors.powerups.detector, 3, size);
+    }
+    if (index === cursorIndex) {
+      ring('#000000', 2, size, 3);
+    }
+  }
+  
+  /**
+   * Stroke a ring inside a cell
+   * @param {string} color - Stroke color
+   * @param {number} width - Line width
+   * @param {number} size - Cell size
+   * @param {number} inset - Gap between the ring and the cell's edge
+   */
+  function ring(color, width, size, inset = 0) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    const offset = inset + width / 2;
+    ctx.strokeRect(offset, offset, size - offset * 2, size - offset * 2);
+  }
+  
+  /**
+   * Draw centered bold text
+   * @param {string} text - Text
+   * @param {string} color - Fill color
+   * @param {number} mid - Cell center
+   * @param {number} fontSize - Font size in pixels
+   */
+  function drawText(text, color, mid, fontSize) {
+    ctx.fillStyle = color;
+    ctx.font = `bold ${Math.round(fontSize)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, mid, mid + 1);
+  }
+  
+  /**
+   * Draw a mine
+   * @param {number} mid - Cell center
+   * @param {number} size - Cell size
+   */
+  function drawMine(mid, size) {
+    if (drawImage(colors.mineImage, size)) return;
+    
+    const radius = size * 0.3;
+    ctx.fillStyle = colors.mine;
+    ctx.beginPath();
+    ctx.arc(mid, mid, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillRect(mid - radius * 1.3, mid - 1, radius * 2.6, 2);
+    ctx.fillRect(mid - 1, mid - radius * 1.3, 2, radius * 2.6);
+  }
+  
+  /**
+   * Draw a flag
+   * @param {number} size - Cell size
+   */
+  function drawFlag(size) {
+    if (drawImage(colors.flagImage, size)) return;
+    
+    const left = size * 0.35;
+    const top = size * 0.2;
+    ctx.fillStyle = colors.flag;
+    ctx.beginPath();
+    ctx.moveTo(left, top);
+    ctx.lineTo(left + size * 0.35, top + size * 0.17);
+    ctx.lineTo(left, top + size * 0.34);
+    ctx.closePath();
+    ctx.fill();
+    ctx.fillStyle = colors.flagPole;
+    ctx.fillRect(left - 1, top, 2, size * 0.55);
+    ctx.fillRect(left - size * 0.15, top + size * 0.55, size * 0.3, 2);
+  }
+  
+  /**
+   * Stop pending drawing and forget the current board
+   */
+  function destroy() {
+    cancelAnimationFrame(frame);
+    cancelAnimationFrame(cascadeFrame);
+    frame = null;
+    cascadeFrame = null;
+    cascadeQueue = [];
+    cascadeNext = 0;
+    dirty.clear();
+    probabilities = new Map();
+    hintMarks = new Map();
+    detectorIndex = null;
+    cursorIndex = null;
+    canvas = null;
+    ctx = null;
+  }
+  
+  return {
+    createBoard,
+    updateCell,
+    updateCellsCascade,
+    showProbabilities,
+    clearProbabilities,
+    showHint,
+    clearHint,
+    setDetectorHighlight,
+    setCursor,
+    getCell,
+    destroy
+  };
+})();
+
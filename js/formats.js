@@ -0,0 +1,252 @@
+/**
+ * BoardFormats - Board layouts in text formats shared with other tools
+ *
+ * Imports produce a layout: { rows, cols, mines, revealed, flagged }, where
+ * the last three are arrays of cell indices.
+ */
+const BoardFormats = (function() {
+  const FORMATS = ['ascii', 'mbf', 'base64'];
+  
+  /**
+   * Write a board as an ASCII grid
+   *
+   * "*" is a mine, "." a covered safe cell, a digit a revealed safe cell,
+   * "F" a flagged mine and "f" a flag on a safe cell.
+   * @param {Object} board - Board state
+   * @returns {string} One line per row
+   */
+  function toAscii(board) {
+    const lines = [];
+    
+    for (let row = 0; row < board.rows; row++) {
+      let line = '';
+      for (let col = 0; col < board.cols; col++) {
+        const cell = board.cells[row * board.cols + col];
+        if (cell.isFlagged) {
+          line += cell.isMine ? 'F' : 'f';
+        } else if (cell.isMine) {
+          line += '*';
+        } else if (cell.isRevealed) {
+          line += String(cell.adjacentMines);
+        } else {
+          line += '.';
+        }
+      }
+      lines.push(line);
+    }
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * Read an ASCII grid
+   * @param {string} text - Grid as written by toAscii; digits only mark a cell as revealed
+   * @returns {Object|string} Layout, or an error message
+   */
+  function fromAscii(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '');
+    if (lines.length === 0) {
+      return 'The grid is empty.';
+    }
+    
+    const cols = lines[0].length;
+    const layout = { rows: lines.length, cols, mines: [], revealed: [], flagged: [] };
+    
+    for (let row = 0; row < lines.length; row++) {
+      if (lines[row].length !== cols) {
+        return `Row ${row + 1} has ${lines[row].length} cells, but row 1 has ${cols}.`;
+      }
+      
+      for (let col = 0; col < cols; col++) {
+        const ch = lines[row][col];
+        const index = row * cols + col;
+        
+        if (ch === '*' || ch === 'F') {
+          layout.mines.push(index);
+        } else if (/[0-8]/.test(ch)) {
+          layout.revealed.push(index);
+        } else if (ch !== '.' && ch !== 'f') {
+          return `Row ${row + 1} has an unknown character "${ch}".`;
+        }
+        
+        if (ch === 'F' || ch === 'f') {
+          layout.flagged.push(index);
+        }
+      }
+    }
+    
+    return layout;
+  }
+  
+  /**
+   * Write the mines of a board in Minesweeper Arbiter's MBF layout, as hex
+   *
+   * Bytes: width, height, mine count (2 bytes, big-endian), then x, y per mine.
+   * @param {Object} board - Board state
+   * @returns {string} Hex string
+   */
+  function toMbf(board) {
+    const mines = board.cells.filter(c => c.isMine);
+    const bytes = [board.cols, board.rows, mines.length >> 8, mines.length & 0xff];
+    
+    for (const cell of mines) {
+      bytes.push(cell.col, cell.row);
+    }
+    
+    return bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+  
+  /**
+   * Read an MBF layout written as hex
+   * @param {string} text - Hex string, whitespace allowed
+   * @returns {Object|string} Layout, or an error message
+   */
+  function fromMbf(text) {
+    const hex = text.replace(/\s+/g, '');
+    if (!/^([0-9a-fA-F]{2})+$/.test(hex)) {
+      return 'MBF data must be pairs of hex digits.';
+    }
+    
+    const bytes = [];
+    for (let i = 0; i < hex.length; i += 2) {
+      bytes.push(parseInt(hex.substr(i, 2), 16));
+    }
+    
+    if (bytes.length < 4) {
+      return 'MBF data is too short.';
+    }
+    
+    const cols = bytes[0];
+    const rows = bytes[1];
+    const count = (bytes[2] << 8) | bytes[3];
+    
+    if (bytes.length !== 4 + count * 2) {
+      return `MBF data says ${count} mine${count === 1 ? '' : 's'} but holds ${Math.floor((bytes.length - 4) / 2)}.`;
+    }
+    
+    const mines = new Set();
+    for (let i = 4; i < bytes.length; i += 2) {
+      const col = bytes[i];
+      const row = bytes[i + 1];
+      if (col >= cols || row >= rows) {
+        return `The mine at ${col}, ${row} is outside the ${cols}x${rows} board.`;
+      }
+      mines.add(row * cols + col);
+    }
+    
+    if (mines.size !== count) {
+      return 'MBF data lists the same mine twice.';
+    }
+    
+    return { rows, cols, mines: Array.from(mines), revealed: [], flagged: [] };
+  }
+  
+  /**
+   * Write the mines of a board as a base64 bitmask
+   * @param {Object} board - Board state
+   * @returns {string} "ROWSxCOLS:" followed by one bit per cell, row by row, high bit first
+   */
+  function toBase64(board) {
+    const bytes = new Uint8Array(Math.ceil(board.cells.length / 8));
+    
+    for (const cell of board.cells) {
+      if (cell.isMine) {
+        bytes[cell.index >> 3] |= 0x80 >> (cell.index & 7);
+      }
+    }
+    
+    return `${board.rows}x${board.cols}:${btoa(String.fromCharCode(...bytes))}`;
+  }
+  
+  /**
+   * Read a base64 bitmask
+   * @param {string} text - Bitmask as written by toBase64
+   * @returns {Object|string} Layout, or an error message
+   */
+  function fromBase64(text) {
+    const match = text.trim().match(/^(\d+)x(\d+):([A-Za-z0-9+/]*={0,2})$/);
+    if (!match) {
+      return 'A bitmask looks like 9x9:base64data.';
+    }
+    
+    const rows = parseInt(match[1], 10);
+    const cols = parseInt(match[2], 10);
+    
+    let data = '';
+    try {
+      data = atob(match[3]);
+    } catch (e) {
+      return 'The bitmask is not valid base64.';
+    }
+    
+    if (data.length !== Math.ceil(rows * cols / 8)) {
+      return `A ${rows}x${cols} bitmask needs ${Math.ceil(rows * cols / 8)} bytes, but this one has ${data.length}.`;
+    }
+    
+    const mines = [];
+    for (let i = 0; i < rows * cols; i++) {
+      if (data.charCodeAt(i >> 3) & (0x80 >> (i & 7))) {
+        mines.push(i);
+      }
+    }
+    
+    return { rows, cols, mines, revealed: [], flagged: [] };
+  }
+  
+  /**
+   * Write a board in one of the supported formats
+   * @param {string} format - 'ascii', 'mbf' or 'base64'
+   * @param {Object} board - Board state with mines placed
+   * @returns {string} Board text
+   */
+  function exportBoard(format, board) {
+    switch (format) {
+      case 'mbf':
+        return toMbf(board);
+      case 'base64':
+        return toBase64(board);
+      default:
+        return toAscii(board);
+    }
+  }
+  
+  /**
+   * Read a board in one of the supported formats
+   * @param {string} format - 'ascii', 'mbf' or 'base64'
+   * @param {string} text - Board text
+   * @returns {Object} { layout, error } with error empty on success
+   */
+  function importBoard(format, text) {
+    if (!FORMATS.includes(format)) {
+      return { layout: null, error: `Unknown board format "${format}".` };
+    }
+    
+    let layout = null;
+    if (format === 'mbf') {
+      layout = fromMbf(text);
+    } else if (format === 'base64') {
+      layout = fromBase64(text);
+    } else {
+      layout = fromAscii(text);
+    }
+    
+    if (typeof layout === 'string') {
+      return { layout: null, error: layout };
+    }
+    
+    if (layout.mines.length < 1) {
+      return { layout: null, error: 'The board needs at least one mine.' };
+    }
+    if (layout.mines.length >= layout.rows * layout.cols) {
+      return { layout: null, error: 'The board needs at least one safe cell.' };
+    }
+    
+    return { layout, error: '' };
+  }
+  
+  return {
+    exportBoard,
+    importBoard
+  };
+})();
+
@@ -6,13 +6,65 @@ const Game = (function() {
   let board = null;
   let gameState = 'idle'; // idle, playing, won, lost
   let difficulty = 'beginner';
-  let timer = 0;
+  let elapsedMs = 0; // Time played, not counting freezes
+  let clockStart = null; // performance.now() when elapsedMs was last brought up to date, while running
+  let frozenUntil = 0; // performance.now() when the current freeze ends
   let timerInterval = null;
-  let timerFrozenUntil = 0;
+  let paused = false;
+  let pauseStart = 0; // performance.now() when the current pause began
+  let pausedMs = 0; // Time spent paused this game
+  let hintsUsed = 0;
+  let disqualified = false;
+  let dailyDate = null; // Date key when playing the daily challenge
+  let dailyScored = false; // Whether this is the day's scored attempt
+  let gameOverTimeout = null;
+  let gameCounts = createGameCounts(); // Actions this game, for the statistics
+  let statsRecorded = false;
+  let lossPending = false; // Lost in practice mode, so the loss may still be taken back
+  let clicks = { left: 0, right: 0, chord: 0 }; // Clicks made this game, wasted ones included
   
   // Settings
   let powerupsEnabled = true;
   let soundEnabled = true;
+  let noGuessModes = {};
+  let customSettings = null;
+  let pendingResume = null;
+  let showProbabilities = false;
+  let practiceMode = false;
+  let replaying = false;
+  let scoreSort = 'time'; // Leaderboard order: 'time' or 'bbbvPerSecond'
+  let powerupSlot = null; // Inventory slot picked with the gamepad shoulder buttons
+  let renderer = 'auto'; // Board drawing: 'auto', 'dom' or 'canvas'
+  
+  // Controls dialog fields per mouse binding, touch gesture and key action
+  const MOUSE_FIELDS = {
+    left: 'controlLeft',
+    shiftLeft: 'controlShiftLeft',
+    middle: 'controlMiddle',
+    right: 'controlRight',
+    both: 'controlBoth'
+  };
+  const TOUCH_FIELDS = {
+    tap: 'touchTap',
+    doubleTap: 'touchDoubleTap',
+    longPress: 'touchLongPress',
+    twoFingerTap: 'touchTwoFingerTap'
+  };
+  const KEY_FIELDS = {
+    up: 'keyUp',
+    down: 'keyDown',
+    left: 'keyLeft',
+    right: 'keyRight',
+    reveal: 'keyReveal',
+    flag: 'keyFlag',
+    chord: 'keyChord',
+    flagMode: 'keyFlagMode'
+  };
+  // Single keys the game handles anywhere, which the controls may not take
+  const SHORTCUT_KEYS = {
+    h: 'the hint',
+    p: 'pausing'
+  };
   
   // High scores
   let highScores = {
@@ -21,6 +73,15 @@ const Game = (function() {
     expert: []
   };
   
+  // Daily challenge results and streak
+  let daily = {
+    attempted: null,
+    lastWin: null,
+    streak: 0,
+    longestStreak: 0,
+    results: []
+  };
+  
   /**
    * Load configuration from config.json
    */
@@ -37,10 +98,21 @@ const Game = (function() {
     if (config.timing && config.timing.longPressMs) {
       Input.setLongPressMs(config.timing.longPressMs);
     }
+    if (config.timing && config.timing.doubleTapMs) {
+      Input.setDoubleTapMs(config.timing.doubleTapMs);
+    }
+    if (config.ui) {
+      Viewport.configure(config.ui);
+    }
+    UI.setRenderer(renderer, config.ui && config.ui.canvasThreshold);
     
     powerupsEnabled = config.powerups ? config.powerups.enabled : true;
     soundEnabled = config.sound ? config.sound.enabled : true;
     
+    for (const [level, settings] of Object.entries(config.difficulties)) {
+      noGuessModes[level] = !!settings.noGuess;
+    }
+    
     if (config.sound && config.sound.volume !== undefined) {
       Sound.setVolume(config.sound.volume);
     }
@@ -53,9 +125,9 @@ const Game = (function() {
   function getDefaultConfig() {
     return {
       difficulties: {
-        beginner: { rows: 9, cols: 9, mines: 10 },
-        intermediate: { rows: 16, cols: 16, mines: 40 },
-        expert: { rows: 16, cols: 30, mines: 99 }
+        beginner: { rows: 9, cols: 9, mines: 10, noGuess: false },
+        intermediate: { rows: 16, cols: 16, mines: 40, noGuess: false },
+        expert: { rows: 16, cols: 30, mines: 99, noGuess: false }
       },
       powerups: {
         enabled: true,
@@ -67,10 +139,37 @@ const Game = (function() {
           safeReveal: { name: 'Safe Reveal', cellCount: 3 }
         }
       },
+      custom: {
+        rows: 20,
+        cols: 30,
+        mines: 145,
+        minRows: 5,
+        maxRows: 100,
+        minCols: 5,
+        maxCols: 100
+      },
+      generation: {
+        maxNoGuessAttempts: 1000
+      },
+      daily: {
+        difficulty: 'expert',
+        noGuess: true,
+        powerups: false
+      },
+      replays: {
+        maxSaved: 30
+      },
+      ui: {
+        minCellSize: 24,
+        mobileCellSize: 44,
+        canvasThreshold: 2500
+      },
       timing: {
         longPressMs: 500,
+        doubleTapMs: 300,
         maxTimer: 999,
-        cascadeDelayMs: 15
+        cascadeDelayMs: 15,
+        announceEverySeconds: 60
       },
       sound: {
         enabled: true,
@@ -83,33 +182,63 @@ const Game = (function() {
    * Initialize the game
    */
   async function init() {
+    loadRenderer();
     await loadConfig();
     loadHighScores();
+    loadScoreSort();
+    loadDaily();
+    Stats.load();
+    Themes.load();
+    loadCustomSettings();
+    loadControls();
     
     UI.init();
     Sound.init();
     
     // Set up power-up callbacks
     PowerUps.setOnInventoryChange((inventory) => {
-      UI.updatePowerupInventory(inventory, usePowerup);
+      UI.updatePowerupInventory(inventory, (type) => playerMove({ type: 'powerup', powerup: type }));
+      
+      // Keep the gamepad's pick on a slot that still exists
+      if (powerupSlot !== null) {
+        const slots = getPowerupTypes().length;
+        powerupSlot = slots > 0 ? Math.min(powerupSlot, slots - 1) : null;
+        UI.selectPowerupSlot(powerupSlot);
+      }
     });
     
     PowerUps.setOnShieldChange((active) => {
       UI.setShieldActive(active);
     });
     
+    PowerUps.setOnDetectorChange((cell) => {
+      UI.setDetectorHighlight(cell);
+    });
+    
     PowerUps.setOnFreezeChange((frozen, duration) => {
       UI.setTimerFrozen(frozen);
-      if (frozen) {
-        timerFrozenUntil = Date.now() + duration;
-      }
+      
+      // Settle the time played so far before the freeze starts or ends
+      updateElapsed();
+      frozenUntil = frozen ? performance.now() + duration : 0;
     });
     
     // Set up UI event handlers
     setupUIEvents();
     
-    // Start a new game
-    newGame();
+    // Start a new game (or the board from a share link), offering to
+    // resume an unfinished one
+    pendingResume = loadSavedGame();
+    const shared = parseShareLink(location.hash);
+    if (shared) {
+      startSharedBoard(shared);
+    } else {
+      newGame();
+    }
+    
+    if (pendingResume) {
+      UI.showResumePrompt(pendingResume);
+    }
   }
   
   /**
@@ -154,7 +283,7 @@ const Game = (function() {
     });
     
     // Modal footer buttons
-    document.querySelectorAll('.modal-footer .btn').forEach(btn => {
+    document.querySelectorAll('.modal-footer .btn:not([data-keep-open])').forEach(btn => {
       btn.addEventListener('click', (e) => {
         const modal = e.target.closest('.modal');
         if (modal) {
@@ -167,7 +296,11 @@ const Game = (function() {
     document.getElementById('playAgainBtn').addEventListener('click', () => {
       const nameInput = document.getElementById('playerName');
       if (nameInput.offsetParent !== null) { // visible
-        saveHighScore(nameInput.value || 'Player');
+        if (dailyDate) {
+          nameDailyResult(nameInput.value || 'Player');
+        } else {
+          saveHighScore(nameInput.value || 'Player');
+        }
       }
       UI.hideModal('gameOverModal');
       newGame();
@@ -178,26 +311,160 @@ const Game = (function() {
       tab.addEventListener('click', (e) => {
         document.querySelectorAll('.highscore-tabs .tab').forEach(t => t.classList.remove('active'));
         e.target.classList.add('active');
-        UI.updateHighScores(highScores[e.target.dataset.difficulty] || []);
+        showScoreTab(e.target.dataset.difficulty);
       });
     });
     
+    // Leaderboard order
+    document.getElementById('scoreSort').addEventListener('change', (e) => {
+      scoreSort = e.target.value;
+      saveScoreSort();
+      showScoreTab(document.querySelector('.highscore-tabs .tab.active').dataset.difficulty);
+    });
+    
     // Clear scores button
     document.getElementById('clearScores').addEventListener('click', () => {
       const activeTab = document.querySelector('.highscore-tabs .tab.active');
-      if (activeTab) {
-        highScores[activeTab.dataset.difficulty] = [];
+      if (activeTab && activeTab.dataset.difficulty === 'daily') {
+        daily.results = [];
+        saveDaily();
+        showScoreTab('daily');
+      } else if (activeTab) {
+        highScores[getScoreKey(activeTab.dataset.difficulty)] = [];
         saveHighScores();
         UI.updateHighScores([]);
       }
     });
     
+    // Statistics tabs
+    document.querySelectorAll('.stats-tabs .tab').forEach(tab => {
+      tab.addEventListener('click', (e) => {
+        showStatsTab(e.target.dataset.difficulty);
+      });
+    });
+    
+    document.getElementById('resetStats').addEventListener('click', () => {
+      if (confirm('Reset all statistics? This cannot be undone.')) {
+        Stats.reset();
+        showStatsTab(document.querySelector('.stats-tabs .tab.active').dataset.difficulty);
+      }
+    });
+    
+    // Resume prompt
+    document.getElementById('resumeYes').addEventListener('click', () => {
+      if (pendingResume) {
+        restoreGame(pendingResume);
+        pendingResume = null;
+      }
+    });
+    
+    document.getElementById('resumeNo').addEventListener('click', () => {
+      pendingResume = null;
+      clearSavedGame();
+    });
+    
+    // Replays
+    document.getElementById('saveReplayBtn').addEventListener('click', saveReplay);
+    document.getElementById('showReplays').addEventListener('click', showReplays);
+    
+    document.getElementById('replayList').addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      if (!button) return;
+      
+      if (button.dataset.watch) {
+        watchReplay(Replay.get(button.dataset.watch));
+      } else if (button.dataset.export) {
+        exportReplay(Replay.get(button.dataset.export));
+      } else if (button.dataset.delete) {
+        Replay.remove(button.dataset.delete);
+        UI.updateReplayList(Replay.loadAll());
+      }
+    });
+    
+    document.getElementById('importReplay').addEventListener('click', () => {
+      document.getElementById('replayFile').click();
+    });
+    
+    document.getElementById('replayFile').addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        importReplayFile(e.target.files[0]);
+      }
+      e.target.value = '';
+    });
+    
+    // Replay, theme and board files can be dropped anywhere on the page
+    document.addEventListener('dragover', (e) => {
+      if (e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files')) {
+        e.preventDefault();
+      }
+    });
+    
+    document.addEventListener('drop', (e) => {
+      if (e.dataTransfer && e.dataTransfer.files.length > 0) {
+        e.preventDefault();
+        importDroppedFile(e.dataTransfer.files[0]);
+      }
+    });
+    
+    document.getElementById('highscoreList').addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      if (button && button.dataset.watch) {
+        watchReplay(Replay.get(button.dataset.watch));
+      }
+    });
+    
+    document.getElementById('replayPlay').addEventListener('click', Replay.togglePlay);
+    document.getElementById('replayClose').addEventListener('click', closeReplay);
+    document.getElementById('replaySpeed').addEventListener('change', (e) => {
+      Replay.setSpeed(parseFloat(e.target.value));
+    });
+    document.getElementById('replaySeek').addEventListener('input', (e) => {
+      Replay.seek(parseInt(e.target.value, 10));
+    });
+    
+    // Share links pasted into an open tab
+    window.addEventListener('hashchange', () => {
+      const shared = parseShareLink(location.hash);
+      if (shared) {
+        startSharedBoard(shared);
+      }
+    });
+    
+    // Keep the saved timer current when the page is closed or hidden
+    window.addEventListener('pagehide', () => {
+      settleLoss();
+      saveGame();
+    });
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        pauseGame();
+        saveGame();
+      }
+    });
+    
+    document.getElementById('pauseOverlay').addEventListener('click', resumeGame);
+    
+    // Custom difficulty
+    document.getElementById('customSave').addEventListener('click', saveCustomSettings);
+    
+    // Controls
+    document.getElementById('flagModeBtn').addEventListener('click', () => {
+      Input.setFlagMode(!Input.isFlagMode());
+    });
+    document.getElementById('controlsSave').addEventListener('click', saveControls);
+    document.getElementById('controlsReset').addEventListener('click', () => {
+      fillControlsDialog(Input.getDefaultBindings());
+      UI.setControlsError('');
+    });
+    
+    // Board import/export
+    document.getElementById('boardExport').addEventListener('click', exportBoard);
+    document.getElementById('boardImport').addEventListener('click', importBoard);
+    
     // Settings
     document.getElementById('settingsBtn').addEventListener('click', (e) => {
       e.stopPropagation();
-      document.getElementById('volumeSlider').value = Sound.volume * 100 || 50;
-      document.getElementById('powerupsToggle').checked = powerupsEnabled;
-      UI.showModal('settingsModal');
+      showSettings();
     });
     
     document.getElementById('settingsSave').addEventListener('click', () => {
@@ -206,11 +473,54 @@ const Game = (function() {
       
       Sound.setVolume(volume);
       UI.setPowerupsEnabled(powerupsEnabled);
-      UI.updateMenuState({ powerupsEnabled, soundEnabled });
+      UI.updateMenuState(getMenuState());
+      
+      // A canvas board reads its colors when drawn, so both changes redraw it
+      const newRenderer = document.getElementById('rendererSelect').value;
+      const newTheme = document.getElementById('themeSelect').value;
+      if (newTheme !== Themes.getCurrent()) {
+        Themes.apply(newTheme);
+        if (UI.isCanvasMode()) {
+          redrawBoard();
+        }
+      }
+      if (newRenderer !== renderer) {
+        renderer = newRenderer;
+        saveRenderer();
+        UI.setRenderer(renderer);
+        redrawBoard();
+      }
       
       UI.hideModal('settingsModal');
     });
     
+    // Themes
+    document.getElementById('themeSelect').addEventListener('change', (e) => {
+      UI.setThemeDeletable(!Themes.list().find(theme => theme.id === e.target.value).builtIn);
+    });
+    
+    document.getElementById('importTheme').addEventListener('click', () => {
+      document.getElementById('themeFile').click();
+    });
+    
+    document.getElementById('themeFile').addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        importThemeFile(e.target.files[0]);
+      }
+      e.target.value = '';
+    });
+    
+    document.getElementById('deleteTheme').addEventListener('click', () => {
+      const id = document.getElementById('themeSelect').value;
+      const wasCurrent = id === Themes.getCurrent();
+      Themes.remove(id);
+      if (wasCurrent && UI.isCanvasMode()) {
+        redrawBoard();
+      }
+      UI.updateThemeList(Themes.list(), Themes.getCurrent());
+      UI.setThemeError('');
+    });
+    
     // Close modals on backdrop click
     document.querySelectorAll('.modal').forEach(modal => {
       modal.addEventListener('click', (e) => {
@@ -222,15 +532,53 @@ const Game = (function() {
     
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+      // Keys the board used for its cursor are not shortcuts
+      if (e.defaultPrevented) return;
+      
       if (e.key === 'F2') {
         newGame();
       } else if (e.key === 'Escape') {
         UI.hideAllModals();
         closeAllDropdowns();
+      } else if ((e.ctrlKey || e.metaKey) && !e.altKey && (e.key === 'z' || e.key === 'Z' || e.key === 'y' || e.key === 'Y')) {
+        if (!isShortcutBlocked(e.target)) {
+          e.preventDefault();
+          if ((e.key === 'z' || e.key === 'Z') && !e.shiftKey) {
+            playerMove({ type: 'undo' });
+          } else {
+            playerMove({ type: 'redo' });
+          }
+        }
+      } else if ((e.key === 'h' || e.key === 'H') && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        if (!isShortcutBlocked(e.target)) {
+          showHint();
+        }
+      } else if ((e.key === 'p' || e.key === 'P') && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        if (!isShortcutBlocked(e.target)) {
+          togglePause();
+        }
       }
     });
   }
   
+  /**
+   * Check whether game shortcuts should leave a key alone
+   * @param {EventTarget} target - Event target
+   * @returns {boolean} True if typing into an input or a dialog is open
+   */
+  function isShortcutBlocked(target) {
+    return isTypingTarget(target) || !!document.querySelector('.modal.active');
+  }
+  
+  /**
+   * Check whether a key event target is a text field
+   * @param {EventTarget} target - Event target
+   * @returns {boolean} True if typing into an input
+   */
+  function isTypingTarget(target) {
+    return target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT';
+  }
+  
   /**
    * Toggle dropdown menu
    * @param {string} dropdownId - Dropdown ID
@@ -241,7 +589,7 @@ const Game = (function() {
     dropdown.classList.toggle('active');
     
     // Position dropdown
-    const menuBtn = dropdownId === 'gameDropdown' 
+    const menuBtn = dropdownId === 'gameDropdown'
       ? document.getElementById('gameMenu')
       : document.getElementById('helpMenu');
     
@@ -270,28 +618,87 @@ const Game = (function() {
       case 'new':
         newGame();
         break;
+      case 'seed':
+        promptSeed();
+        break;
+      case 'share':
+        shareBoard();
+        break;
+      case 'board':
+        UI.setBoardError('');
+        UI.showModal('boardModal');
+        break;
       case 'beginner':
       case 'intermediate':
       case 'expert':
         setDifficulty(action);
         break;
+      case 'custom':
+        showCustomDialog();
+        break;
+      case 'undo':
+      case 'redo':
+        playerMove({ type: action });
+        break;
+      case 'pause':
+        togglePause();
+        break;
+      case 'togglePractice':
+        practiceMode = !practiceMode;
+        if (!practiceMode) {
+          settleLoss();
+        }
+        UI.updateMenuState(getMenuState());
+        break;
       case 'togglePowerups':
         powerupsEnabled = !powerupsEnabled;
-        UI.updateMenuState({ powerupsEnabled, soundEnabled });
+        UI.updateMenuState(getMenuState());
         UI.setPowerupsEnabled(powerupsEnabled);
         break;
+      case 'toggleNoGuess':
+        noGuessModes[difficulty] = !noGuessModes[difficulty];
+        UI.updateMenuState(getMenuState());
+        newGame();
+        break;
+      case 'hint':
+        showHint();
+        break;
+      case 'toggleProbabilities':
+        showProbabilities = !showProbabilities;
+        UI.updateMenuState(getMenuState());
+        refreshProbabilities();
+        break;
       case 'toggleSound':
         soundEnabled = !soundEnabled;
         Sound.setEnabled(soundEnabled);
-        UI.updateMenuState({ powerupsEnabled, soundEnabled });
+        UI.updateMenuState(getMenuState());
+        break;
+      case 'toggleFlagMode':
+        Input.setFlagMode(!Input.isFlagMode());
+        break;
+      case 'controls':
+        fillControlsDialog(Input.getBindings());
+        UI.setControlsError('');
+        UI.showModal('controlsModal');
+        break;
+      case 'daily':
+        startDaily();
         break;
-      case 'highscores':
-        UI.updateHighScores(highScores[difficulty] || []);
+      case 'statistics':
+        showStatsTab(difficulty);
+        UI.showModal('statsModal');
+        break;
+      case 'highscores': {
+        const tab = dailyDate ? 'daily' : difficulty;
+        UI.setCustomScoreTab(customSettings);
+        document.getElementById('scoreSort').value = scoreSort;
+        showScoreTab(tab);
         document.querySelectorAll('.highscore-tabs .tab').forEach(t => {
-          t.classList.toggle('active', t.dataset.difficulty === difficulty);
+          t.classList.toggle('active', t.dataset.difficulty === tab);
         });
         UI.showModal('highscoresModal');
         break;
+      }
       case 'howToPlay':
         UI.showModal('helpModal');
         break;
@@ -302,253 +709,1659 @@ const Game = (function() {
   }
   
   /**
-   * Set difficulty level
-   * @param {string} level - Difficulty level
+   * Get menu checkbox state
+   * @returns {Object} State for UI.updateMenuState
    */
-  function setDifficulty(level) {
-    difficulty = level;
-    UI.setActiveDifficulty(level);
-    newGame();
+  function getMenuState() {
+    return {
+      powerupsEnabled,
+      soundEnabled,
+      noGuess: !!noGuessModes[difficulty],
+      showProbabilities,
+      practiceMode,
+      paused,
+      flagMode: Input.isFlagMode(),
+      canPause: gameState === 'playing' && !replaying,
+      canUndo: MoveHistory.canUndo() && gameState !== 'won' && !replaying && !paused,
+      canRedo: MoveHistory.canRedo() && !replaying && !paused
+    };
   }
   
   /**
-   * Start a new game
+   * Show one tab of the high scores dialog
+   * @param {string} tab - Difficulty level or 'daily'
    */
-  function newGame() {
-    // Stop timer
-    if (timerInterval) {
-      clearInterval(timerInterval);
-      timerInterval = null;
+  function showScoreTab(tab) {
+    if (tab === 'daily') {
+      UI.updateDailyScores(daily.results, getDailyStreak(), daily.longestStreak);
+    } else {
+      UI.updateHighScores(sortScores(highScores[getScoreKey(tab)] || [], scoreSort));
     }
-    
-    // Reset state
-    gameState = 'idle';
-    timer = 0;
-    timerFrozenUntil = 0;
-    
-    // Get difficulty settings
-    const settings = config.difficulties[difficulty];
-    
-    // Create board
-    const powerupConfig = powerupsEnabled ? config.powerups : null;
-    board = Board.create(settings.rows, settings.cols, settings.mines, powerupConfig);
-    
-    // Reset power-ups
-    PowerUps.reset();
-    
-    // Update UI
-    UI.createBoard(board);
-    UI.updateMineCounter(settings.mines);
-    UI.updateTimer(0);
-    UI.setFace('smile');
-    UI.setShieldActive(false);
-    UI.setTimerFrozen(false);
-    UI.setActiveDifficulty(difficulty);
-    UI.updateMenuState({ powerupsEnabled, soundEnabled });
-    UI.setPowerupsEnabled(powerupsEnabled);
-    
-    // Set up input handlers
-    Input.init(UI.getBoardElement(), {
-      onReveal: handleReveal,
-      onFlag: handleFlag,
-      onChord: handleChord,
-      onCellPress: handleCellPress,
-      onCellRelease: handleCellRelease
+  }
+  
+  /**
+   * Show one difficulty in the statistics dialog
+   * @param {string} tab - Difficulty level
+   */
+  function showStatsTab(tab) {
+    document.querySelectorAll('.stats-tabs .tab').forEach(t => {
+      t.classList.toggle('active', t.dataset.difficulty === tab);
     });
+    UI.updateStats(Stats.get(tab));
   }
   
   /**
-   * Start the game timer
+   * Create the per-game action counters
+   * @returns {Object} Counters at zero
    */
-  function startTimer() {
-    if (timerInterval) return;
-    
-    timerInterval = setInterval(() => {
-      // Check if timer is frozen
-      if (PowerUps.isTimerFrozen() || Date.now() < timerFrozenUntil) {
-        return;
-      }
-      
-      timer++;
-      if (timer > (config.timing.maxTimer || 999)) {
-        timer = config.timing.maxTimer || 999;
-      }
-      UI.updateTimer(timer);
-    }, 1000);
+  function createGameCounts() {
+    return {
+      flagsPlaced: 0,
+      powerupsCollected: 0,
+      powerupsUsed: 0,
+      shieldsConsumed: 0
+    };
   }
   
   /**
-   * Handle cell reveal
-   * @param {number} row - Row index
-   * @param {number} col - Column index
+   * Add the finished game to the lifetime statistics
+   * @param {boolean} won - Whether the game was won
    */
-  function handleReveal(row, col) {
-    if (gameState === 'won' || gameState === 'lost') return;
+  function recordStats(won) {
+    // A loss counted when the page was hidden may still be taken back
+    if (statsRecorded) return;
+    statsRecorded = true;
     
-    const cell = Board.getCell(board, row, col);
-    if (!cell || cell.isRevealed || cell.isFlagged) return;
+    Stats.recordGame(difficulty, Object.assign({
+      won,
+      timeMs: elapsedMs,
+      cellsRevealed: board.cells.filter(c => c.isRevealed && !c.isMine).length
+    }, gameCounts));
+  }
+  
+  /**
+   * Get board settings for the current difficulty
+   * @returns {Object} Rows, cols and mines
+   */
+  function getDifficultySettings() {
+    return difficulty === 'custom' ? customSettings : config.difficulties[difficulty];
+  }
+  
+  /**
+   * Get the high score bucket for a difficulty
+   * @param {string} level - Difficulty level (defaults to the current one)
+   * @returns {string} Key into highScores
+   */
+  function getScoreKey(level = difficulty) {
+    if (level !== 'custom') return level;
+    return `custom-${customSettings.rows}x${customSettings.cols}-${customSettings.mines}`;
+  }
+  
+  /**
+   * Open the custom difficulty dialog with the current values
+   */
+  function showCustomDialog() {
+    const limits = config.custom;
+    const fields = {
+      customRows: [customSettings.rows, limits.minRows, limits.maxRows],
+      customCols: [customSettings.cols, limits.minCols, limits.maxCols],
+      customMines: [customSettings.mines, 1, Board.getMaxMines(limits.maxRows, limits.maxCols)]
+    };
     
-    // First click - place mines
-    if (!board.minesPlaced) {
-      Board.placeMines(board, row, col);
-      gameState = 'playing';
-      startTimer();
+    for (const [id, [value, min, max]] of Object.entries(fields)) {
+      const input = document.getElementById(id);
+      input.value = value;
+      input.min = min;
+      input.max = max;
     }
     
-    // Reveal cell
-    const result = Board.revealCell(board, row, col);
+    UI.setCustomError('');
+    UI.showModal('customModal');
+  }
+  
+  /**
+   * Validate custom board dimensions
+   * @param {number} rows - Number of rows
+   * @param {number} cols - Number of columns
+   * @param {number} mines - Number of mines
+   * @param {number} maxMines - Most mines allowed; defaults to leaving room for the first click
+   * @returns {string} Error message, or empty string if valid
+   */
+  function validateCustomSettings(rows, cols, mines, maxMines = Board.getMaxMines(rows, cols)) {
+    const limits = config.custom;
     
-    if (result.hitMine) {
-      // Check for shield
-      if (PowerUps.consumeShield()) {
-        // Shield saved us! Mark the mine as flagged instead
-        result.explodedCell.isRevealed = false;
-        result.explodedCell.isFlagged = true;
-        UI.updateCell(result.explodedCell);
-        updateMineCounter();
-        Sound.playClick();
-        return;
-      }
-      
-      gameOver(false, result.explodedCell);
-      return;
+    if (!Number.isInteger(rows) || rows < limits.minRows || rows > limits.maxRows) {
+      return `Height must be between ${limits.minRows} and ${limits.maxRows}.`;
     }
-    
-    // Play sound
-    if (result.revealed.length > 1) {
-      // Cascade reveal with animation
-      UI.updateCellsCascade(result.revealed, config.timing.cascadeDelayMs || 15);
-    } else if (result.revealed.length === 1) {
-      Sound.playClick();
-      UI.updateCell(result.revealed[0]);
+    if (!Number.isInteger(cols) || cols < limits.minCols || cols > limits.maxCols) {
+      return `Width must be between ${limits.minCols} and ${limits.maxCols}.`;
     }
     
-    // Handle power-up
-    if (result.powerup) {
-      PowerUps.collect(result.powerup);
+    if (!Number.isInteger(mines) || mines < 1 || mines > maxMines) {
+      return `Mines must be between 1 and ${maxMines} so the first click has room to open.`;
     }
     
-    // Check win
-    if (Board.checkWin(board)) {
-      gameOver(true);
-    }
+    return '';
   }
   
   /**
-   * Handle cell flag
-   * @param {number} row - Row index
-   * @param {number} col - Column index
+   * Apply the custom difficulty dialog
    */
-  function handleFlag(row, col) {
-    if (gameState === 'won' || gameState === 'lost') return;
-    if (!board.minesPlaced) return; // Can't flag before first click
+  function saveCustomSettings() {
+    const rows = Number(document.getElementById('customRows').value);
+    const cols = Number(document.getElementById('customCols').value);
+    const mines = Number(document.getElementById('customMines').value);
     
-    const result = Board.toggleFlag(board, row, col);
+    const error = validateCustomSettings(rows, cols, mines);
+    if (error) {
+      UI.setCustomError(error);
+      return;
+    }
     
-    if (result.changed) {
-      UI.updateCell(result.cell);
-      updateMineCounter();
-      
-      if (result.cell.isFlagged) {
-        Sound.playFlag();
-      } else {
-        Sound.playUnflag();
-      }
+    customSettings = { rows, cols, mines };
+    try {
+      localStorage.setItem('minesweeper_custom', JSON.stringify(customSettings));
+    } catch (e) {
+      console.warn('Could not save custom difficulty');
     }
+    
+    UI.hideModal('customModal');
+    setDifficulty('custom');
   }
   
   /**
-   * Handle chord reveal (both buttons)
-   * @param {number} row - Row index
-   * @param {number} col - Column index
+   * Load custom difficulty from localStorage
    */
-  function handleChord(row, col) {
-    if (gameState === 'won' || gameState === 'lost') return;
-    if (!board.minesPlaced) return;
+  function loadCustomSettings() {
+    const defaults = config.custom;
+    customSettings = { rows: defaults.rows, cols: defaults.cols, mines: defaults.mines };
+    
+    try {
+      const saved = JSON.parse(localStorage.getItem('minesweeper_custom'));
+      if (saved && !validateCustomSettings(saved.rows, saved.cols, saved.mines)) {
+        customSettings = { rows: saved.rows, cols: saved.cols, mines: saved.mines };
+      }
+    } catch (e) {
+      console.warn('Could not load custom difficulty');
+    }
+  }
+  
+  /**
+   * Write key names for a key field, e.g. "Space, F"
+   * @param {string[]} keys - Lower case keys
+   * @returns {string} Field text
+   */
+  function formatKeys(keys) {
+    return keys.map(key => key === ' ' ? 'Space' : key.toUpperCase()).join(', ');
+  }
+  
+  /**
+   * Read the keys typed into a key field
+   * @param {string} text - Field text, keys separated by commas
+   * @returns {string[]} Lower case keys
+   */
+  function parseKeys(text) {
+    return text.split(',')
+      .map(key => key.trim().toLowerCase())
+      .filter(key => key !== '')
+      .map(key => key === 'space' ? ' ' : key);
+  }
+  
+  /**
+   * Put bindings into the controls dialog
+   * @param {Object} bindings - Bindings from Input
+   */
+  function fillControlsDialog(bindings) {
+    for (const [button, id] of Object.entries(MOUSE_FIELDS)) {
+      document.getElementById(id).value = bindings.mouse[button];
+    }
+    for (const [gesture, id] of Object.entries(TOUCH_FIELDS)) {
+      document.getElementById(id).value = bindings.touch[gesture];
+    }
+    for (const [action, id] of Object.entries(KEY_FIELDS)) {
+      document.getElementById(id).value = formatKeys(bindings.keys[action]);
+    }
+    document.getElementById('touchLongPressMs').value = bindings.touch.longPressMs;
+    document.getElementById('touchHaptics').checked = bindings.touch.haptics;
+    document.getElementById('controlChordOnNumber').checked = bindings.chordOnNumber;
+  }
+  
+  /**
+   * Validate control bindings
+   * @param {Object} bindings - Mouse button actions, keys per action, touch gestures and chordOnNumber
+   * @returns {string} Error message, or empty string if valid
+   */
+  function validateControls(bindings) {
+    if (!bindings || !bindings.mouse || !bindings.keys || !bindings.touch) {
+      return 'Controls are incomplete.';
+    }
+    
+    const actions = ['reveal', 'flag', 'chord', 'none'];
+    for (const button of Object.keys(MOUSE_FIELDS)) {
+      if (!actions.includes(bindings.mouse[button])) {
+        return 'Each mouse button must reveal, flag, chord or do nothing.';
+      }
+    }
+    for (const gesture of Object.keys(TOUCH_FIELDS)) {
+      if (!actions.includes(bindings.touch[gesture])) {
+        return 'Each touch gesture must reveal, flag, chord or do nothing.';
+      }
+    }
+    
+    const longPressMs = bindings.touch.longPressMs;
+    if (!Number.isInteger(longPressMs) || longPressMs < 200 || longPressMs > 2000) {
+      return 'Long press must be between 200 and 2000 ms.';
+    }
+    
+    const used = new Set();
+    for (const action of Object.keys(KEY_FIELDS)) {
+      const keys = bindings.keys[action];
+      if (!Array.isArray(keys)) {
+        return 'Controls are incomplete.';
+      }
+      
+      for (const key of keys) {
+        if (typeof key !== 'string' || key.length !== 1) {
+          return 'Keys must be single characters or Space, e.g. "F, Space".';
+        }
+        if (/[1-9]/.test(key)) {
+          return 'Number keys are kept for power-ups.';
+        }
+        if (SHORTCUT_KEYS[key]) {
+          return `${formatKeys([key])} is kept for ${SHORTCUT_KEYS[key]}.`;
+        }
+        if (used.has(key)) {
+          return `${formatKeys([key])} is bound to more than one action.`;
+        }
+        used.add(key);
+      }
+    }
+    
+    return '';
+  }
+  
+  /**
+   * Apply the controls dialog
+   */
+  function saveControls() {
+    const bindings = { mouse: {}, keys: {}, touch: {} };
+    for (const [button, id] of Object.entries(MOUSE_FIELDS)) {
+      bindings.mouse[button] = document.getElementById(id).value;
+    }
+    for (const [gesture, id] of Object.entries(TOUCH_FIELDS)) {
+      bindings.touch[gesture] = document.getElementById(id).value;
+    }
+    bindings.touch.longPressMs = Number(document.getElementById('touchLongPressMs').value);
+    bindings.touch.haptics = document.getElementById('touchHaptics').checked;
+    for (const [action, id] of Object.entries(KEY_FIELDS)) {
+      bindings.keys[action] = parseKeys(document.getElementById(id).value);
+    }
+    bindings.chordOnNumber = document.getElementById('controlChordOnNumber').checked;
+    
+    const error = validateControls(bindings);
+    if (error) {
+      UI.setControlsError(error);
+      return;
+    }
+    
+    Input.setBindings(bindings);
+    try {
+      localStorage.setItem('minesweeper_controls', JSON.stringify(bindings));
+    } catch (e) {
+      console.warn('Could not save controls');
+    }
+    
+    UI.hideModal('controlsModal');
+  }
+  
+  /**
+   * Load control bindings from localStorage
+   */
+  function loadControls() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('minesweeper_controls'));
+      if (saved) {
+        // Fill in bindings added since the controls were saved, and drop keys
+        // that have since become shortcuts
+        const defaults = Input.getDefaultBindings();
+        const keys = Object.assign(defaults.keys, saved.keys);
+        for (const action of Object.keys(keys)) {
+          if (Array.isArray(keys[action])) {
+            keys[action] = keys[action].filter(key => !SHORTCUT_KEYS[key]);
+          }
+        }
+        const bindings = {
+          mouse: Object.assign(defaults.mouse, saved.mouse),
+          keys,
+          touch: Object.assign(defaults.touch, saved.touch),
+          chordOnNumber: !!saved.chordOnNumber
+        };
+        if (!validateControls(bindings)) {
+          Input.setBindings(bindings);
+        }
+      }
+    } catch (e) {
+      console.warn('Could not load controls');
+    }
+  }
+  
+  /**
+   * Set difficulty level
+   * @param {string} level - Difficulty level
+   */
+  function setDifficulty(level) {
+    difficulty = level;
+    UI.setActiveDifficulty(level);
+    newGame();
+  }
+  
+  /**
+   * Ask for a seed and start a new game with it
+   */
+  function promptSeed() {
+    const input = prompt('Enter a seed to reproduce a board layout:', board && board.seed !== null ? board.seed : '');
+    const seed = Random.parseSeed(input);
+    
+    if (seed !== null) {
+      newGame(seed);
+    }
+  }
+  
+  /**
+   * Build a link that starts the current board
+   *
+   * Seeded boards are shared as the seed and the first click, which together
+   * reproduce the mines and power-ups. Imported boards, and boards without a
+   * seed such as the daily challenge, are shared as a bitmask of the mines,
+   * with the seed that places their power-ups when there is one.
+   * @returns {string} URL with the board in its hash
+   */
+  function getShareLink() {
+    const params = new URLSearchParams({ v: '1', d: difficulty });
+    
+    if (difficulty === 'custom') {
+      params.set('r', board.rows);
+      params.set('c', board.cols);
+      params.set('m', board.mineCount);
+    }
+    
+    if (board.seed !== null) {
+      params.set('seed', board.seed);
+    }
+    params.set('pu', board.powerupConfig ? '1' : '0');
+    if (board.fixedLayout || board.seed === null) {
+      params.set('mines', BoardFormats.exportBoard('base64', board));
+    } else {
+      params.set('first', `${board.firstClick.row},${board.firstClick.col}`);
+      params.set('ng', board.noGuess ? '1' : '0');
+    }
+    
+    return `${location.href.split('#')[0]}#${params}`;
+  }
+  
+  /**
+   * Show a link to the current board
+   */
+  function shareBoard() {
+    if (dailyDate && gameState !== 'won' && gameState !== 'lost') {
+      alert('The daily challenge can be shared once you have finished it.');
+      return;
+    }
+    if (!board.fixedLayout && !board.firstClick) {
+      alert('Reveal a cell first. The link includes your first click so everyone gets the same board.');
+      return;
+    }
+    
+    prompt('Copy this link to share the board:', getShareLink());
+  }
+  
+  /**
+   * Read a board from a share link
+   * @param {string} hash - URL hash
+   * @returns {Object|null} Shared board settings, or null if the hash is not a valid link
+   */
+  function parseShareLink(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (params.get('v') !== '1') return null;
+    
+    const level = params.get('d');
+    const shared = {
+      difficulty: level,
+      powerupsEnabled: params.get('pu') === '1',
+      noGuess: params.get('ng') === '1'
+    };
+    
+    if (level === 'custom') {
+      shared.settings = {
+        rows: parseInt(params.get('r'), 10),
+        cols: parseInt(params.get('c'), 10),
+        mines: parseInt(params.get('m'), 10)
+      };
+    } else if (config.difficulties[level]) {
+      shared.settings = config.difficulties[level];
+    } else {
+      return invalidShareLink();
+    }
+    
+    // A mine layout has no first click to keep clear, so it may fill all but one cell
+    const { rows, cols, mines } = shared.settings;
+    const maxMines = params.has('mines') ? rows * cols - 1 : undefined;
+    if (level === 'custom' && validateCustomSettings(rows, cols, mines, maxMines)) {
+      return invalidShareLink();
+    }
+    
+    shared.seed = Random.parseSeed(params.get('seed'));
+    
+    if (params.has('mines')) {
+      const { layout, error } = BoardFormats.importBoard('base64', params.get('mines'));
+      if (error || layout.rows !== rows || layout.cols !== cols || layout.mines.length !== mines) {
+        return invalidShareLink();
+      }
+      shared.layout = layout;
+      return shared;
+    }
+    
+    const first = (params.get('first') || '').split(',').map(n => parseInt(n, 10));
+    shared.firstClick = { row: first[0], col: first[1] };
+    
+    if (shared.seed === null || !(first[0] >= 0 && first[0] < rows && first[1] >= 0 && first[1] < cols)) {
+      return invalidShareLink();
+    }
+    
+    return shared;
+  }
+  
+  /**
+   * Report a share link that could not be read
+   * @returns {null} Nothing to start
+   */
+  function invalidShareLink() {
+    console.warn('Ignoring invalid share link');
+    alert('This board link is incomplete or damaged, so a new game was started instead.');
+    return null;
+  }
+  
+  /**
+   * Start the board from a share link
+   * @param {Object} shared - Settings from parseShareLink
+   */
+  function startSharedBoard(shared) {
+    // The link has been used; reloading should not restart it
+    history.replaceState(null, '', location.href.split('#')[0]);
+    
+    if (shared.layout) {
+      loadLayout(shared.layout, { seed: shared.seed, powerupsEnabled: shared.powerupsEnabled });
+      return;
+    }
+    
+    difficulty = shared.difficulty;
+    if (difficulty === 'custom') {
+      customSettings = shared.settings;
+    }
+    
+    // The link's settings are for this game only; the player's own stay as they were
+    newGame(shared.seed, { powerupsEnabled: shared.powerupsEnabled, noGuess: shared.noGuess });
+    
+    // Lay the mines now so the board does not depend on where the player clicks
+    const { row, col } = shared.firstClick;
+    const warning = placeMines(row, col);
+    
+    UI.showHint({
+      type: 'safe',
+      cell: Board.getCell(board, row, col),
+      cells: [],
+      sources: [],
+      message: `Shared board: start with the highlighted cell, which is always safe.${warning ? ` ${warning}` : ''}`
+    });
+  }
+  
+  /**
+   * Write the current board into the import/export dialog
+   */
+  function exportBoard() {
+    // The export shows every mine, so it waits until the game is over
+    if (gameState !== 'won' && gameState !== 'lost') {
+      UI.setBoardError('Boards can be exported once the game is over.');
+      return;
+    }
+    
+    const textEl = document.getElementById('boardText');
+    textEl.value = BoardFormats.exportBoard(document.getElementById('boardFormat').value, board);
+    textEl.select();
+    UI.setBoardError('');
+  }
+  
+  /**
+   * Start a game on the board pasted into the import/export dialog
+   */
+  function importBoard() {
+    const format = document.getElementById('boardFormat').value;
+    const { layout, error } = BoardFormats.importBoard(format, document.getElementById('boardText').value);
+    if (error) {
+      UI.setBoardError(error);
+      return;
+    }
+    
+    const limits = config.custom;
+    if (layout.rows < limits.minRows || layout.rows > limits.maxRows ||
+        layout.cols < limits.minCols || layout.cols > limits.maxCols) {
+      UI.setBoardError(`Boards must be ${limits.minRows}-${limits.maxRows} rows by ${limits.minCols}-${limits.maxCols} columns.`);
+      return;
+    }
+    
+    UI.hideModal('boardModal');
+    loadLayout(layout);
+  }
+  
+  /**
+   * Start a game on a known layout, skipping random mine placement
+   * @param {Object} layout - Layout from BoardFormats.importBoard
+   * @param {Object} options - Optional seed and powerupsEnabled; the seed places the power-ups
+   */
+  function loadLayout(layout, options = {}) {
+    const mines = layout.mines.length;
+    const level = ['beginner', 'intermediate', 'expert'].find(name => {
+      const settings = config.difficulties[name];
+      return settings.rows === layout.rows && settings.cols === layout.cols && settings.mines === mines;
+    });
+    
+    if (level) {
+      difficulty = level;
+    } else {
+      difficulty = 'custom';
+      customSettings = { rows: layout.rows, cols: layout.cols, mines };
+    }
+    
+    newGame(options.seed, { powerupsEnabled: !!options.powerupsEnabled, noGuess: false });
+    
+    // The player may have seen this layout, so it never counts for high scores
+    disqualified = true;
+    Board.setMines(board, layout.mines);
+    layout.revealed.forEach(index => {
+      board.cells[index].isRevealed = true;
+    });
+    layout.flagged.forEach(index => {
+      board.cells[index].isFlagged = true;
+    });
+    Replay.setBoard(Board.serialize(board), board.noGuess);
+    
+    board.cells.forEach(cell => UI.updateCell(cell));
+    updateMineCounter();
+    refreshProbabilities();
+  }
+  
+  /**
+   * Start a new game
+   * @param {number} seed - Optional seed for a reproducible layout
+   * @param {Object} overrides - Optional powerupsEnabled/noGuess to use instead of the menu settings,
+   *   and random, a generator to lay the board with instead of a seed
+   */
+  function newGame(seed, overrides = {}) {
+    if (replaying) {
+      stopReplay();
+    }
+    settleLoss();
+    
+    stopTimer();
+    clearTimeout(gameOverTimeout);
+    gameOverTimeout = null;
+    paused = false;
+    pausedMs = 0;
+    UI.setPaused(false);
+    
+    // Starting over discards any unfinished game
+    clearSavedGame();
+    
+    // Reset state
+    gameState = 'idle';
+    elapsedMs = 0;
+    frozenUntil = 0;
+    hintsUsed = 0;
+    disqualified = false;
+    dailyDate = null;
+    dailyScored = false;
+    gameCounts = createGameCounts();
+    statsRecorded = false;
+    clicks = { left: 0, right: 0, chord: 0 };
+    MoveHistory.clear();
+    
+    // Get difficulty settings
+    const settings = getDifficultySettings();
+    
+    // Create board
+    const usePowerups = overrides.powerupsEnabled !== undefined ? overrides.powerupsEnabled : powerupsEnabled;
+    const powerupConfig = usePowerups ? config.powerups : null;
+    board = Board.create(settings.rows, settings.cols, settings.mines, powerupConfig, {
+      seed,
+      random: overrides.random,
+      noGuess: overrides.noGuess !== undefined ? overrides.noGuess : !!noGuessModes[difficulty],
+      maxAttempts: config.generation ? config.generation.maxNoGuessAttempts : undefined
+    });
+    
+    // Reset power-ups
+    PowerUps.reset();
+    
+    Replay.startRecording({
+      difficulty,
+      settings: { rows: settings.rows, cols: settings.cols, mines: settings.mines },
+      seed: board.seed,
+      powerupsEnabled: !!powerupConfig,
+      powerupConfig,
+      noGuess: board.noGuess
+    });
+    
+    // Update UI
+    UI.createBoard(board);
+    UI.clearHint();
+    refreshProbabilities();
+    UI.updateMineCounter(settings.mines);
+    UI.updateTimer(0);
+    UI.setFace('smile');
+    UI.setShieldActive(false);
+    UI.setTimerFrozen(false);
+    UI.setActiveDifficulty(difficulty);
+    UI.updateMenuState(getMenuState());
+    UI.setPowerupsEnabled(!!powerupConfig);
+    
+    // Set up input handlers
+    Input.init(UI.getBoardElement(), {
+      onReveal: (row, col) => {
+        countClick('left');
+        playerMove({ type: 'reveal', row, col });
+      },
+      onFlag: (row, col) => {
+        countClick('right');
+        playerMove({ type: 'flag', row, col });
+      },
+      onChord: (row, col) => {
+        countClick('chord');
+        playerMove({ type: 'chord', row, col });
+      },
+      onCellPress: handleCellPress,
+      onCellRelease: handleCellRelease,
+      onFlagModeChange: (on) => {
+        UI.setFlagMode(on);
+        UI.updateMenuState(getMenuState());
+        UI.announce(on ? 'Flag mode on' : 'Flag mode off');
+      },
+      onZoom: Viewport.zoomAt,
+      onPan: Viewport.panBy,
+      onPowerupKey: usePowerupSlot,
+      onCursorMove: (row, col) => {
+        UI.setCursor(Board.getCell(board, row, col));
+      },
+      isOpenNumber: (row, col) => {
+        const cell = Board.getCell(board, row, col);
+        return !!cell && cell.isRevealed && !cell.isMine && cell.adjacentMines > 0;
+      },
+      onPowerupCycle: (step) => {
+        const slots = getPowerupTypes().length;
+        if (slots === 0) return;
+        
+        if (powerupSlot === null) {
+          powerupSlot = step > 0 ? 0 : slots - 1;
+        } else {
+          powerupSlot = (powerupSlot + step + slots) % slots;
+        }
+        UI.selectPowerupSlot(powerupSlot);
+      },
+      onPowerupUse: () => {
+        if (powerupSlot !== null) {
+          usePowerupSlot(powerupSlot);
+        }
+      },
+      onMenu: toggleGameMenu
+    });
+  }
+  
+  /**
+   * Get the power-up types in the order of the inventory bar's slots
+   * @returns {string[]} One type per slot
+   */
+  function getPowerupTypes() {
+    return [...new Set(PowerUps.getInventory().map(p => p.type))];
+  }
+  
+  /**
+   * Use the power-up in a slot of the inventory bar
+   * @param {number} slot - Slot index
+   */
+  function usePowerupSlot(slot) {
+    const types = getPowerupTypes();
+    if (types[slot]) {
+      playerMove({ type: 'powerup', powerup: types[slot] });
+    }
+  }
+  
+  /**
+   * Open the Game menu with its first item focused, or close it
+   */
+  function toggleGameMenu() {
+    const dropdown = document.getElementById('gameDropdown');
+    if (dropdown.classList.contains('active')) {
+      closeAllDropdowns();
+      document.activeElement.blur();
+      return;
+    }
+    
+    toggleDropdown('gameDropdown');
+    dropdown.querySelector('.dropdown-item:not([disabled])').focus();
+  }
+  
+  /**
+   * Start the game timer
+   */
+  function startTimer() {
+    if (timerInterval || replaying) return;
+    
+    clockStart = performance.now();
+    timerInterval = setInterval(() => {
+      const before = getTimerSeconds();
+      updateElapsed();
+      const seconds = getTimerSeconds();
+      UI.updateTimer(seconds);
+      
+      // Tell screen reader users how long they have been playing
+      const every = config.timing.announceEverySeconds;
+      if (every && Math.floor(seconds / every) > Math.floor(before / every)) {
+        const minutes = seconds / 60;
+        UI.announce(Number.isInteger(minutes) ?
+          `${minutes} minute${minutes === 1 ? '' : 's'} played` :
+          `${seconds} seconds played`);
+      }
+    }, 100);
+  }
+  
+  /**
+   * Stop the game timer, keeping the time played so far
+   */
+  function stopTimer() {
+    updateElapsed();
+    clockStart = null;
+    
+    if (timerInterval) {
+      clearInterval(timerInterval);
+      timerInterval = null;
+    }
+  }
+  
+  /**
+   * Pause the game: stop the clock and power-up timers and hide the board
+   */
+  function pauseGame() {
+    if (paused || gameState !== 'playing' || replaying) return;
+    
+    paused = true;
+    pauseStart = performance.now();
+    stopTimer();
+    PowerUps.pause();
+    Replay.pauseRecording();
+    
+    UI.setPaused(true);
+    UI.updateMenuState(getMenuState());
+  }
+  
+  /**
+   * Resume a paused game where it stopped
+   */
+  function resumeGame() {
+    if (!paused) return;
+    
+    paused = false;
+    pausedMs += performance.now() - pauseStart;
+    Replay.unpauseRecording();
+    startTimer();
+    PowerUps.resume();
+    
+    UI.setPaused(false);
+    UI.updateMenuState(getMenuState());
+  }
+  
+  /**
+   * Pause or resume the game
+   */
+  function togglePause() {
+    if (paused) {
+      resumeGame();
+    } else {
+      pauseGame();
+    }
+  }
+  
+  /**
+   * Get the time spent paused this game
+   * @returns {number} Milliseconds, including a pause still going on
+   */
+  function getPausedMs() {
+    return pausedMs + (paused ? performance.now() - pauseStart : 0);
+  }
+  
+  /**
+   * Bring the elapsed time up to now, leaving out time spent frozen
+   */
+  function updateElapsed() {
+    if (clockStart === null) return;
+    
+    const now = performance.now();
+    elapsedMs += now - Math.max(clockStart, Math.min(frozenUntil, now));
+    clockStart = now;
+  }
+  
+  /**
+   * Get the whole seconds shown on the timer display
+   * @returns {number} Seconds played, capped at the display maximum
+   */
+  function getTimerSeconds() {
+    return Math.min(Math.floor(elapsedMs / 1000), config.timing.maxTimer || 999);
+  }
+  
+  /**
+   * Lay the mines around the first cell and start the replay from that layout
+   * @param {number} row - Row of the first cell
+   * @param {number} col - Column of the first cell
+   * @returns {string} Warning for the player if no-guess mode had to give up, otherwise empty
+   */
+  function placeMines(row, col) {
+    Board.placeMines(board, row, col);
+    Replay.setBoard(Board.serialize(board), board.noGuess && !board.noGuessFailed);
+    
+    if (!board.noGuessFailed) return '';
+    const attempts = board.generationAttempts;
+    return `No guess-free board was found in ${attempts} attempt${attempts === 1 ? '' : 's'}, so this one may need a guess.`;
+  }
+  
+  /**
+   * Handle cell reveal
+   * @param {number} row - Row index
+   * @param {number} col - Column index
+   */
+  function handleReveal(row, col) {
+    if (gameState === 'won' || gameState === 'lost') return;
+    
+    const cell = Board.getCell(board, row, col);
+    if (!cell || cell.isRevealed || cell.isFlagged) return;
+    
+    UI.clearHint();
+    
+    // First click - place mines
+    const warning = board.minesPlaced ? '' : placeMines(row, col);
+    
+    // Imported boards already have their mines
+    if (gameState === 'idle') {
+      gameState = 'playing';
+      startTimer();
+      
+      // The first move uses up the day's scored attempt
+      if (dailyScored) {
+        daily.attempted = dailyDate;
+        saveDaily();
+      }
+    }
+    
+    // Reveal cell
+    const result = Board.revealCell(board, row, col);
+    
+    if (result.hitMine) {
+      // Check for shield
+      if (PowerUps.consumeShield()) {
+        gameCounts.shieldsConsumed++;
+        UI.announce('The shield stopped a mine. It is now flagged.');
+        
+        // Shield saved us! Mark the mine as flagged instead
+        result.explodedCell.isRevealed = false;
+        result.explodedCell.isFlagged = true;
+        UI.updateCell(result.explodedCell);
+        updateMineCounter();
+        Sound.playClick();
+        refreshProbabilities();
+        saveGame();
+        return;
+      }
+      
+      gameOver(false, result.explodedCell, result.revealed);
+      return;
+    }
+    
+    // Play sound
+    if (result.revealed.length > 1) {
+      // Cascade reveal with animation
+      UI.updateCellsCascade(result.revealed, config.timing.cascadeDelayMs || 15);
+    } else if (result.revealed.length === 1) {
+      Sound.playClick();
+      UI.updateCell(result.revealed[0]);
+      UI.announce(UI.describeCell(result.revealed[0]));
+    }
+    
+    if (warning) {
+      UI.showMessage(warning);
+    }
+    
+    // Handle power-up
+    if (result.powerup) {
+      collectPowerup(result.powerup);
+    }
+    
+    // Check win
+    if (Board.checkWin(board)) {
+      gameOver(true);
+    } else {
+      refreshProbabilities();
+      saveGame();
+    }
+  }
+  
+  /**
+   * Handle cell flag
+   * @param {number} row - Row index
+   * @param {number} col - Column index
+   */
+  function handleFlag(row, col) {
+    if (gameState === 'won' || gameState === 'lost') return;
+    if (!board.minesPlaced) return; // Can't flag before first click
+    
+    const result = Board.toggleFlag(board, row, col);
+    
+    if (result.changed) {
+      UI.clearHint();
+      UI.updateCell(result.cell);
+      updateMineCounter();
+      
+      if (result.cell.isFlagged) {
+        gameCounts.flagsPlaced++;
+        Sound.playFlag();
+      } else {
+        Sound.playUnflag();
+      }
+      
+      const remaining = board.mineCount - Board.getFlagCount(board);
+      UI.announce(`${UI.describeCell(result.cell)}. ${remaining} mine${remaining === 1 ? '' : 's'} left`);
+      
+      refreshProbabilities();
+      saveGame();
+    }
+  }
+  
+  /**
+   * Add a power-up uncovered on the board to the inventory
+   * @param {string} type - Power-up type
+   */
+  function collectPowerup(type) {
+    PowerUps.collect(type);
+    gameCounts.powerupsCollected++;
+    
+    const types = (board.powerupConfig || config.powerups).types;
+    UI.announce(`Collected power-up: ${types[type] ? types[type].name : type}`);
+  }
+  
+  /**
+   * Handle chord reveal (both buttons)
+   * @param {number} row - Row index
+   * @param {number} col - Column index
+   */
+  function handleChord(row, col) {
+    if (gameState === 'won' || gameState === 'lost') return;
+    if (!board.minesPlaced) return;
     
     const result = Board.chordReveal(board, row, col);
+    if (result.revealed.length > 0) {
+      UI.clearHint();
+    }
+    
+    if (result.hitMine) {
+      // Check for shield
+      if (PowerUps.consumeShield()) {
+        gameCounts.shieldsConsumed++;
+        UI.announce('The shield stopped a mine. It is now flagged.');
+        result.explodedCell.isRevealed = false;
+        result.explodedCell.isFlagged = true;
+        
+        // Update all revealed cells except the exploded one
+        for (const cell of result.revealed) {
+          if (cell !== result.explodedCell) {
+            UI.updateCell(cell);
+          }
+        }
+        UI.updateCell(result.explodedCell);
+        updateMineCounter();
+        refreshProbabilities();
+        saveGame();
+        return;
+      }
+      
+      gameOver(false, result.explodedCell, result.revealed);
+      return;
+    }
+    
+    if (result.revealed.length > 0) {
+      UI.updateCellsCascade(result.revealed, config.timing.cascadeDelayMs || 15);
+      
+      if (result.powerup) {
+        collectPowerup(result.powerup);
+      }
+    }
+    
+    if (Board.checkWin(board)) {
+      gameOver(true);
+    } else {
+      refreshProbabilities();
+      saveGame();
+    }
+  }
+  
+  /**
+   * Count a click on the board for the efficiency metrics
+   * @param {string} button - 'left', 'right' or 'chord'
+   */
+  function countClick(button) {
+    if (replaying || paused || gameState === 'won' || gameState === 'lost') return;
+    clicks[button]++;
+  }
+  
+  /**
+   * Work out the speed and efficiency metrics of the game so far
+   *
+   * Lost games are measured on the part of the 3BV that was solved.
+   * @returns {Object} bbbv, solved, clicks, bbbvPerSecond, ios, rqp and efficiency
+   */
+  function getMetrics() {
+    const solved = Board.get3BV(board).solved;
+    const clickCount = clicks.left + clicks.right + clicks.chord;
+    
+    const time = Math.max(elapsedMs, 1) / 1000;
+    const bbbvPerSecond = solved / time;
+    
+    return {
+      bbbv: board.bbbv,
+      solved,
+      clicks: Object.assign({}, clicks),
+      bbbvPerSecond,
+      ios: time > 1 && solved > 0 ? Math.log(solved) / Math.log(time) : null,
+      rqp: bbbvPerSecond > 0 ? time / bbbvPerSecond : null,
+      efficiency: clickCount > 0 ? solved / clickCount : null
+    };
+  }
+  
+  /**
+   * Make a move for the player and add it to the replay
+   * @param {Object} move - Move (type, row, col or powerup)
+   */
+  function playerMove(move) {
+    if (replaying || paused) return;
+    
+    if (performMove(move)) {
+      Replay.record(move);
+    }
+  }
+  
+  /**
+   * Make a move of any kind
+   * @param {Object} move - Move (type, row, col or powerup)
+   * @returns {boolean} Whether the move changed anything
+   */
+  function performMove(move) {
+    switch (move.type) {
+      case 'reveal':
+        return recordMove(move, () => handleReveal(move.row, move.col));
+      case 'flag':
+        return recordMove(move, () => handleFlag(move.row, move.col));
+      case 'chord':
+        return recordMove(move, () => handleChord(move.row, move.col));
+      case 'powerup':
+        return recordMove(move, () => usePowerup(move.powerup));
+      case 'undo':
+        return undo();
+      case 'redo':
+        return redo();
+    }
+    return false;
+  }
+  
+  /**
+   * Make a move and record how to reverse it
+   * @param {Object} move - Move (type, row, col or powerup)
+   * @param {Function} perform - Makes the move
+   * @returns {boolean} Whether the move changed anything
+   */
+  function recordMove(move, perform) {
+    const command = Object.assign({}, move);
+    const cellsBefore = Board.captureStates(board);
+    const powerupsBefore = PowerUps.serialize();
+    const stateBefore = gameState;
+    
+    perform();
+    
+    command.changes = Board.diffStates(board, cellsBefore);
+    command.stateBefore = stateBefore;
+    command.stateAfter = gameState;
+    
+    // Only keep power-up snapshots when the move changed them
+    const powerupsAfter = PowerUps.serialize();
+    if (JSON.stringify(powerupsAfter) !== JSON.stringify(powerupsBefore)) {
+      command.powerupsBefore = powerupsBefore;
+      command.powerupsAfter = powerupsAfter;
+    }
+    
+    if (command.changes.length === 0 && !command.powerupsBefore) {
+      return false;
+    }
+    
+    MoveHistory.push(command);
+    UI.updateMenuState(getMenuState());
+    return true;
+  }
+  
+  /**
+   * Take back the last move
+   * @returns {boolean} Whether a move was undone
+   */
+  function undo() {
+    const command = MoveHistory.peekUndo();
+    if (!command || gameState === 'won') return false;
+    
+    // A replay only contains the undos that were allowed when it was recorded
+    if (command.stateAfter === 'lost' && !replaying) {
+      if (!practiceMode) {
+        UI.showMessage('Turn on Practice Mode to take back a mine hit.');
+        return false;
+      }
+      disqualified = true;
+    }
+    
+    MoveHistory.undo();
+    applyMove(command, false);
+    return true;
+  }
+  
+  /**
+   * Make the last undone move again
+   * @returns {boolean} Whether a move was redone
+   */
+  function redo() {
+    const command = MoveHistory.redo();
+    if (!command) return false;
+    
+    applyMove(command, true);
+    return true;
+  }
+  
+  /**
+   * Apply a recorded move in either direction
+   * @param {Object} command - Command from MoveHistory
+   * @param {boolean} forward - Redo instead of undo
+   */
+  function applyMove(command, forward) {
+    const cells = Board.applyStates(board, command.changes, forward);
+    
+    UI.clearHint();
+    UI.clearProbabilities();
+    cells.forEach(cell => UI.updateCell(cell));
+    
+    if (command.powerupsBefore) {
+      PowerUps.restore(forward ? command.powerupsAfter : command.powerupsBefore);
+    }
+    updateMineCounter();
+    
+    const target = forward ? command.stateAfter : command.stateBefore;
+    if (target === 'lost') {
+      gameState = 'lost';
+      stopTimer();
+      UI.setFace('dead');
+      if (!replaying) {
+        clearSavedGame();
+        lossPending = true;
+        if (!practiceMode) {
+          settleLoss();
+        }
+        UI.showGameOver(false, elapsedMs, false, { metrics: getMetrics() });
+      }
+    } else if (gameState === 'lost') {
+      // Back from a mine hit: the clock carries on where it stopped
+      gameState = 'playing';
+      lossPending = false;
+      clearTimeout(gameOverTimeout);
+      gameOverTimeout = null;
+      UI.hideModal('gameOverModal');
+      UI.setFace('smile');
+      startTimer();
+    }
+    
+    UI.updateMenuState(getMenuState());
+    refreshProbabilities();
+    saveGame();
+  }
+  
+  /**
+   * Handle cell press (for surprised face)
+   */
+  function handleCellPress(row, col) {
+    if (gameState === 'playing' || gameState === 'idle') {
+      UI.setFace('surprised');
+    }
+  }
+  
+  /**
+   * Handle cell release
+   */
+  function handleCellRelease() {
+    if (gameState === 'playing' || gameState === 'idle') {
+      UI.setFace('smile');
+    }
+  }
+  
+  /**
+   * Update mine counter based on flags
+   */
+  function updateMineCounter() {
+    const flagCount = Board.getFlagCount(board);
+    const remaining = board.mineCount - flagCount;
+    UI.updateMineCounter(remaining);
+  }
+  
+  /**
+   * Highlight the next logical move and count the hint
+   */
+  function showHint() {
+    if (gameState === 'won' || gameState === 'lost' || paused) return;
+    
+    if (!board.minesPlaced) {
+      UI.showHint({
+        type: 'info',
+        cell: null,
+        cells: [],
+        sources: [],
+        message: 'Click any cell to start. The first click is always safe.'
+      });
+      return;
+    }
+    
+    const hint = Solver.getHint(board);
+    if (!hint) return;
+    
+    hintsUsed++;
+    UI.showHint(hint);
+  }
+  
+  /**
+   * Rebuild the board's display, e.g. after switching renderer
+   */
+  function redrawBoard() {
+    if (!board) return;
+    
+    UI.createBoard(board);
+    board.cells.forEach(cell => UI.updateCell(cell));
+    UI.clearHint();
+    refreshProbabilities();
+  }
+  
+  /**
+   * Redraw the probability overlay for the current board, if enabled
+   */
+  function refreshProbabilities() {
+    if (!showProbabilities) {
+      UI.clearProbabilities();
+      return;
+    }
+    
+    if (gameState === 'won' || gameState === 'lost') return;
+    
+    const analysis = Solver.getProbabilities(board);
+    UI.showProbabilities(analysis.probabilities, analysis.exact);
+  }
+  
+  /**
+   * Analyze the board as it was before the cells of the last move were revealed
+   * @param {Array} revealed - Cells revealed by the last move
+   * @returns {Object} Probabilities from Solver.getProbabilities
+   */
+  function analyzeBeforeMove(revealed) {
+    const undone = new Set(revealed.map(c => c.index));
+    const view = {
+      rows: board.rows,
+      cols: board.cols,
+      mineCount: board.mineCount,
+      cells: board.cells.map(c => (undone.has(c.index) ? Object.assign({}, c, { isRevealed: false }) : c))
+    };
+    return Solver.getProbabilities(view);
+  }
+  
+  /**
+   * End the game
+   * @param {boolean} won - Whether player won
+   * @param {Object} explodedCell - Cell that exploded (if lost)
+   * @param {Array} revealed - Cells revealed by the losing move
+   */
+  function gameOver(won, explodedCell = null, revealed = []) {
+    gameState = won ? 'won' : 'lost';
+    stopTimer();
+    
+    if (replaying) {
+      showReplayResult(won, explodedCell);
+      return;
+    }
+    
+    clearSavedGame();
+    
+    // Practice mode can still take a loss back, so it counts once the game is left
+    if (won) {
+      recordStats(true);
+      finishRecording();
+    } else {
+      lossPending = true;
+      if (!practiceMode) {
+        settleLoss();
+      }
+    }
+    
+    if (won) {
+      UI.setFace('cool');
+      Sound.playVictory();
+      UI.celebrate();
+      
+      // Flag all remaining mines
+      for (const cell of board.cells) {
+        if (cell.isMine && !cell.isFlagged) {
+          cell.isFlagged = true;
+          UI.updateCell(cell);
+        }
+      }
+      UI.updateMineCounter(0);
+      
+      // Check for high score; a scored daily win always goes on the daily board
+      let isHighScore = false;
+      if (dailyDate) {
+        isHighScore = dailyScored && !disqualified;
+        if (isHighScore) {
+          recordDailyResult(true);
+        }
+      } else {
+        isHighScore = !disqualified && checkHighScore(elapsedMs, getMetrics().bbbvPerSecond);
+      }
+      
+      gameOverTimeout = setTimeout(() => {
+        UI.showGameOver(true, elapsedMs, isHighScore, {
+          hints: hintsUsed,
+          disqualified,
+          fixedLayout: board.fixedLayout,
+          daily: getDailyStatus(),
+          metrics: getMetrics()
+        });
+      }, 500);
+    } else {
+      UI.setFace('dead');
+      Sound.playExplosion();
+      UI.shakeBoard();
+      
+      // Mark exploded cell
+      if (explodedCell) {
+        explodedCell.exploded = true;
+      }
+      
+      // Post-mortem: the odds the player faced before the fatal move
+      const analysis = analyzeBeforeMove(revealed);
+      
+      // Reveal all mines
+      const mines = Board.revealAllMines(board);
+      for (const cell of mines) {
+        UI.updateCell(cell);
+      }
+      UI.showProbabilities(analysis.probabilities, analysis.exact);
+      
+      gameOverTimeout = setTimeout(() => {
+        UI.showGameOver(false, elapsedMs, false, { daily: getDailyStatus(), metrics: getMetrics() });
+      }, 1000);
+    }
+  }
+  
+  /**
+   * Count a loss that can no longer be taken back
+   */
+  function settleLoss() {
+    if (!lossPending) return;
+    lossPending = false;
+    
+    recordStats(false);
+    finishRecording();
+    if (dailyScored) {
+      recordDailyResult(false);
+    }
+  }
+  
+  /**
+   * Store how the game ended on the replay being recorded
+   */
+  function finishRecording() {
+    Replay.finishRecording({
+      result: gameState,
+      timeMs: Math.round(elapsedMs),
+      hints: hintsUsed,
+      disqualified
+    });
+  }
+  
+  /**
+   * Save the replay of the game just finished
+   */
+  function saveReplay() {
+    const recording = Replay.getRecording();
+    if (!recording || !recording.board) return;
+    
+    // A loss that can still be taken back has not been finished yet
+    if (lossPending) {
+      finishRecording();
+    }
+    
+    Replay.save(recording, config.replays.maxSaved, getHighScoreReplayIds());
+    UI.setReplaySaved(true);
+  }
+  
+  /**
+   * Open the list of saved replays
+   */
+  function showReplays() {
+    UI.setReplayError('');
+    UI.updateReplayList(Replay.loadAll());
+    UI.showModal('replaysModal');
+  }
+  
+  /**
+   * Download a replay as a file
+   * @param {Object} replay - Replay to export
+   */
+  function exportReplay(replay) {
+    if (!replay) return;
+    
+    const blob = new Blob([Replay.exportReplay(replay, config.powerups)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `minesweeper-replay-${replay.id}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+  
+  /**
+   * Read a file as text
+   * @param {File} file - File to read
+   * @returns {Promise<string>} File contents
+   */
+  function readTextFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(file);
+    });
+  }
+  
+  /**
+   * Open the settings dialog with the current settings filled in
+   */
+  function showSettings() {
+    document.getElementById('volumeSlider').value = Sound.volume * 100 || 50;
+    document.getElementById('powerupsToggle').checked = powerupsEnabled;
+    document.getElementById('rendererSelect').value = renderer;
+    UI.updateThemeList(Themes.list(), Themes.getCurrent());
+    UI.setThemeError('');
+    UI.showModal('settingsModal');
+  }
+  
+  /**
+   * Import a file dropped on the page, going by what it holds
+   *
+   * Replays and themes are JSON files named by their format field. Anything
+   * else is tried as a board and, if it reads as one, put in the board
+   * dialog ready to import.
+   * @param {File} file - Dropped file
+   */
+  async function importDroppedFile(file) {
+    let text = '';
+    try {
+      text = await readTextFile(file);
+    } catch (e) {
+      console.warn('Could not read dropped file');
+    }
+    
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      data = null;
+    }
     
-    if (result.hitMine) {
-      // Check for shield
-      if (PowerUps.consumeShield()) {
-        result.explodedCell.isRevealed = false;
-        result.explodedCell.isFlagged = true;
-        
-        // Update all revealed cells except the exploded one
-        for (const cell of result.revealed) {
-          if (cell !== result.explodedCell) {
-            UI.updateCell(cell);
-          }
-        }
-        UI.updateCell(result.explodedCell);
-        updateMineCounter();
-        return;
-      }
-      
-      gameOver(false, result.explodedCell);
+    if (data && data.format === 'minesweeper-replay') {
+      importReplayFile(file);
       return;
     }
-    
-    if (result.revealed.length > 0) {
-      UI.updateCellsCascade(result.revealed, config.timing.cascadeDelayMs || 15);
-      
-      if (result.powerup) {
-        PowerUps.collect(result.powerup);
-      }
+    if (data && data.format === 'minesweeper-theme') {
+      showSettings();
+      importThemeFile(file);
+      return;
     }
     
-    if (Board.checkWin(board)) {
-      gameOver(true);
+    const format = ['base64', 'mbf', 'ascii'].find(f => !BoardFormats.importBoard(f, text).error);
+    if (!format) {
+      alert('This file is not a replay, a theme or a board the game can read.');
+      return;
     }
+    
+    document.getElementById('boardFormat').value = format;
+    document.getElementById('boardText').value = text.trim();
+    UI.setBoardError('');
+    UI.showModal('boardModal');
   }
   
   /**
-   * Handle cell press (for surprised face)
+   * Import a replay file and add it to the saved replays
+   * @param {File} file - Replay file
    */
-  function handleCellPress(row, col) {
-    if (gameState === 'playing' || gameState === 'idle') {
-      UI.setFace('surprised');
+  async function importReplayFile(file) {
+    let text = '';
+    try {
+      text = await readTextFile(file);
+    } catch (e) {
+      console.warn('Could not read replay file');
+    }
+    
+    const { replay, error } = Replay.importReplay(text, config.custom);
+    if (replay) {
+      Replay.save(replay, config.replays.maxSaved, getHighScoreReplayIds());
     }
+    
+    showReplays();
+    UI.setReplayError(error);
   }
   
   /**
-   * Handle cell release
+   * Import a theme file and select it in the settings dialog
+   * @param {File} file - Theme file
    */
-  function handleCellRelease() {
-    if (gameState === 'playing' || gameState === 'idle') {
-      UI.setFace('smile');
+  async function importThemeFile(file) {
+    let text = '';
+    try {
+      text = await readTextFile(file);
+    } catch (e) {
+      console.warn('Could not read theme file');
     }
+    
+    const { theme, error } = Themes.importTheme(text);
+    const selected = document.getElementById('themeSelect').value;
+    UI.updateThemeList(Themes.list(), theme ? theme.id : selected);
+    UI.setThemeError(error);
   }
   
   /**
-   * Update mine counter based on flags
+   * Watch a replay on the game board
+   *
+   * A game in progress is saved first and resumed when the replay is closed.
+   * @param {Object} replay - Replay to watch
    */
-  function updateMineCounter() {
-    const flagCount = Board.getFlagCount(board);
-    const remaining = board.mineCount - flagCount;
-    UI.updateMineCounter(remaining);
+  function watchReplay(replay) {
+    if (!replay || !replay.board) {
+      alert('This replay has no moves to show.');
+      return;
+    }
+    
+    if (!replaying) {
+      settleLoss();
+      saveGame();
+      replaying = true;
+      Sound.setEnabled(false);
+    }
+    
+    UI.hideAllModals();
+    UI.showReplayBar(replay);
+    
+    Replay.load(replay, {
+      reset: resetReplayBoard,
+      apply: performMove,
+      update: (state) => {
+        UI.updateReplayBar(state);
+        UI.updateTimer(Math.min(Math.floor(state.position / 1000), config.timing.maxTimer || 999));
+      }
+    });
+    Replay.play();
   }
   
   /**
-   * End the game
-   * @param {boolean} won - Whether player won
-   * @param {Object} explodedCell - Cell that exploded (if lost)
+   * Put the board back to where a replay starts
+   * @param {Object} replay - Replay being watched
    */
-  function gameOver(won, explodedCell = null) {
-    gameState = won ? 'won' : 'lost';
+  function resetReplayBoard(replay) {
+    stopTimer();
+    paused = false;
+    UI.setPaused(false);
+    clearTimeout(gameOverTimeout);
+    gameOverTimeout = null;
     
-    // Stop timer
-    if (timerInterval) {
-      clearInterval(timerInterval);
-      timerInterval = null;
-    }
+    board = Board.deserialize(replay.board, replay.powerupConfig || (replay.powerupsEnabled ? config.powerups : null));
+    gameState = 'playing';
+    elapsedMs = 0;
+    frozenUntil = 0;
+    hintsUsed = 0;
+    disqualified = false;
+    MoveHistory.clear();
+    PowerUps.reset();
     
+    UI.createBoard(board);
+    UI.clearHint();
+    UI.clearProbabilities();
+    updateMineCounter();
+    UI.setFace('smile');
+    UI.setShieldActive(false);
+    UI.setTimerFrozen(false);
+    UI.updateMenuState(getMenuState());
+  }
+  
+  /**
+   * Show the end of a replayed game without counting it
+   * @param {boolean} won - Whether the replayed game was won
+   * @param {Object} explodedCell - Cell that exploded (if lost)
+   */
+  function showReplayResult(won, explodedCell) {
     if (won) {
       UI.setFace('cool');
-      Sound.playVictory();
-      UI.celebrate();
-      
-      // Flag all remaining mines
       for (const cell of board.cells) {
         if (cell.isMine && !cell.isFlagged) {
           cell.isFlagged = true;
@@ -556,32 +2369,36 @@ const Game = (function() {
         }
       }
       UI.updateMineCounter(0);
-      
-      // Check for high score
-      const isHighScore = checkHighScore(timer);
-      
-      setTimeout(() => {
-        UI.showGameOver(true, timer, isHighScore);
-      }, 500);
     } else {
       UI.setFace('dead');
-      Sound.playExplosion();
-      UI.shakeBoard();
-      
-      // Mark exploded cell
       if (explodedCell) {
         explodedCell.exploded = true;
       }
-      
-      // Reveal all mines
-      const mines = Board.revealAllMines(board);
-      for (const cell of mines) {
-        UI.updateCell(cell);
-      }
-      
-      setTimeout(() => {
-        UI.showGameOver(false, timer, false);
-      }, 1000);
+      Board.revealAllMines(board).forEach(cell => UI.updateCell(cell));
+    }
+  }
+  
+  /**
+   * Leave replay mode without touching the board
+   */
+  function stopReplay() {
+    Replay.stop();
+    replaying = false;
+    Sound.setEnabled(soundEnabled);
+    UI.hideReplayBar();
+  }
+  
+  /**
+   * Close the replay and go back to the game that was interrupted, if any
+   */
+  function closeReplay() {
+    const saved = loadSavedGame();
+    if (saved) {
+      pendingResume = saved;
+      restoreGame(saved);
+      pendingResume = null;
+    } else {
+      newGame();
     }
   }
   
@@ -590,34 +2407,178 @@ const Game = (function() {
    * @param {string} type - Power-up type
    */
   function usePowerup(type) {
-    if (gameState !== 'playing') return;
+    if (gameState !== 'playing' || !PowerUps.has(type)) return;
+    
+    // Counted first, as a safe reveal can end the game
+    gameCounts.powerupsUsed++;
     
+    // Replays use the power-up settings they were recorded with
     PowerUps.use(type, {
       board,
-      config,
+      config: board.powerupConfig ? Object.assign({}, config, { powerups: board.powerupConfig }) : config,
       updateCells: (cells) => {
+        UI.clearHint();
         for (const cell of cells) {
           UI.updateCell(cell);
         }
         
         if (Board.checkWin(board)) {
           gameOver(true);
+        } else {
+          refreshProbabilities();
         }
       }
     });
+    
+    saveGame();
+  }
+  
+  /**
+   * Save the game in progress to localStorage
+   *
+   * Nothing is written while the resume prompt is unanswered, so playing on
+   * without answering it cannot replace the unfinished game.
+   */
+  function saveGame() {
+    if (gameState !== 'playing' || replaying || pendingResume) return;
+    
+    updateElapsed();
+    const saved = {
+      version: 1,
+      difficulty,
+      settings: getDifficultySettings(),
+      powerupsEnabled: !!board.powerupConfig,
+      timer: getTimerSeconds(),
+      timeMs: elapsedMs,
+      pausedMs: getPausedMs(),
+      hintsUsed,
+      disqualified,
+      dailyDate,
+      dailyScored,
+      gameCounts,
+      statsRecorded,
+      clicks,
+      board: Board.serialize(board),
+      powerups: PowerUps.serialize(),
+      replay: Replay.getRecording()
+    };
+    
+    try {
+      localStorage.setItem('minesweeper_savegame', JSON.stringify(saved));
+    } catch (e) {
+      console.warn('Could not save game');
+    }
+  }
+  
+  /**
+   * Load a saved game from localStorage
+   * @returns {Object|null} Saved game, or null if there is none
+   */
+  function loadSavedGame() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('minesweeper_savegame'));
+      if (saved && saved.version === 1) {
+        return saved;
+      }
+    } catch (e) {
+      console.warn('Could not load saved game');
+    }
+    return null;
+  }
+  
+  /**
+   * Remove the saved game, unless the player has yet to say whether to resume it
+   */
+  function clearSavedGame() {
+    if (pendingResume) return;
+    
+    try {
+      localStorage.removeItem('minesweeper_savegame');
+    } catch (e) {
+      console.warn('Could not clear saved game');
+    }
+  }
+  
+  /**
+   * Restore a saved game
+   * @param {Object} saved - Saved game from loadSavedGame
+   */
+  function restoreGame(saved) {
+    difficulty = saved.difficulty;
+    if (difficulty === 'custom') {
+      customSettings = saved.settings;
+    }
+    
+    // A daily game has its own power-up setting, so leave the player's alone
+    if (!saved.dailyDate) {
+      powerupsEnabled = saved.powerupsEnabled;
+    }
+    
+    newGame(undefined, { powerupsEnabled: saved.powerupsEnabled });
+    
+    board = Board.deserialize(saved.board, saved.powerupsEnabled ? config.powerups : null);
+    gameState = 'playing';
+    elapsedMs = saved.timeMs !== undefined ? saved.timeMs : saved.timer * 1000;
+    pausedMs = saved.pausedMs || 0;
+    hintsUsed = saved.hintsUsed;
+    disqualified = !!saved.disqualified || board.fixedLayout;
+    dailyDate = saved.dailyDate || null;
+    dailyScored = !!saved.dailyScored;
+    gameCounts = Object.assign(createGameCounts(), saved.gameCounts);
+    statsRecorded = !!saved.statsRecorded;
+    clicks = Object.assign({ left: 0, right: 0, chord: 0 }, saved.clicks);
+    
+    UI.createBoard(board);
+    board.cells.forEach(cell => UI.updateCell(cell));
+    UI.updateTimer(getTimerSeconds());
+    updateMineCounter();
+    PowerUps.restore(saved.powerups);
+    if (saved.replay) {
+      Replay.resumeRecording(saved.replay);
+    }
+    refreshProbabilities();
+    
+    // The clock only resumes now, so time spent away is not counted
+    startTimer();
   }
   
   /**
-   * Check if time is a high score
-   * @param {number} time - Time in seconds
+   * Check if a game makes the leaderboard by time or by 3BV/s
+   * @param {number} timeMs - Time in milliseconds
+   * @param {number} bbbvPerSecond - 3BV per second
    * @returns {boolean} Whether it's a high score
    */
-  function checkHighScore(time) {
-    const scores = highScores[difficulty] || [];
+  function checkHighScore(timeMs, bbbvPerSecond) {
+    const scores = highScores[getScoreKey()] || [];
     
-    if (scores.length < 10) return true;
+    const byTime = sortScores(scores, 'time');
+    const bySpeed = sortScores(scores, 'bbbvPerSecond');
     
-    return time < scores[scores.length - 1].time;
+    return byTime.length < 10 || timeMs < getScoreMs(byTime[9]) ||
+      bySpeed.length < 10 || bbbvPerSecond > (bySpeed[9].bbbvPerSecond || 0);
+  }
+  
+  /**
+   * Sort high scores for display
+   * @param {Array} scores - High score entries
+   * @param {string} by - 'time' (fastest first) or 'bbbvPerSecond' (highest first)
+   * @returns {Array} Sorted copy
+   */
+  function sortScores(scores, by) {
+    if (by === 'bbbvPerSecond') {
+      // Scores from before 3BV was tracked go last
+      return scores.slice().sort((a, b) => (b.bbbvPerSecond || 0) - (a.bbbvPerSecond || 0) || getScoreMs(a) - getScoreMs(b));
+    }
+    return scores.slice().sort((a, b) => getScoreMs(a) - getScoreMs(b));
+  }
+  
+  /**
+   * Get the time of a high score or daily result
+   * @param {Object} score - Entry with timeMs, or only whole seconds in time if saved before timeMs existed
+   * @returns {number} Time in milliseconds
+   */
+  function getScoreMs(score) {
+    return score.timeMs !== undefined ? score.timeMs : score.time * 1000;
   }
   
   /**
@@ -625,23 +2586,202 @@ const Game = (function() {
    * @param {string} name - Player name
    */
   function saveHighScore(name) {
-    if (!highScores[difficulty]) {
-      highScores[difficulty] = [];
+    const key = getScoreKey();
+    
+    if (!highScores[key]) {
+      highScores[key] = [];
     }
     
-    highScores[difficulty].push({
+    const metrics = getMetrics();
+    const entry = {
       name: name.substring(0, 20),
-      time: timer,
+      time: getTimerSeconds(),
+      timeMs: Math.round(elapsedMs),
+      hints: hintsUsed,
+      pausedMs: Math.round(pausedMs),
+      bbbv: metrics.bbbv,
+      bbbvPerSecond: metrics.bbbvPerSecond,
+      ios: metrics.ios,
+      rqp: metrics.rqp,
+      efficiency: metrics.efficiency,
       date: new Date().toISOString()
-    });
+    };
     
-    // Sort by time
-    highScores[difficulty].sort((a, b) => a.time - b.time);
+    // Keep the replay so the time can be checked later
+    const recording = Replay.getRecording();
+    if (recording && recording.board) {
+      entry.replayId = recording.id;
+    }
+    highScores[key].push(entry);
     
-    // Keep top 10
-    highScores[difficulty] = highScores[difficulty].slice(0, 10);
+    // Keep the top 10 by time and the top 10 by 3BV/s, sorted by time
+    const byTime = sortScores(highScores[key], 'time').slice(0, 10);
+    const bySpeed = sortScores(highScores[key], 'bbbvPerSecond').slice(0, 10);
+    highScores[key] = sortScores(highScores[key], 'time').filter(s => byTime.includes(s) || bySpeed.includes(s));
     
     saveHighScores();
+    
+    if (entry.replayId && highScores[key].includes(entry)) {
+      Replay.save(recording, config.replays.maxSaved, getHighScoreReplayIds());
+    }
+  }
+  
+  /**
+   * Collect the replays attached to high scores
+   * @returns {Array} Replay ids
+   */
+  function getHighScoreReplayIds() {
+    const ids = [];
+    Object.values(highScores).forEach(scores => {
+      scores.forEach(score => {
+        if (score.replayId) {
+          ids.push(score.replayId);
+        }
+      });
+    });
+    return ids;
+  }
+  
+  /**
+   * Get today's date as used for the daily challenge
+   * @param {Date} date - Date (defaults to now)
+   * @returns {string} Local date as YYYY-MM-DD
+   */
+  function getDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+  
+  /**
+   * Start today's daily challenge
+   *
+   * Everyone gets the same board on the same day: the generator comes from
+   * the date and the mines are laid around the center cell before the first
+   * click. The generator is one no seed reaches, so the board cannot be
+   * rebuilt from the seed prompt or a share link.
+   */
+  function startDaily() {
+    const today = getDateKey();
+    const settings = config.daily;
+    
+    difficulty = settings.difficulty;
+    newGame(null, {
+      random: Random.createPrivate(`daily:${today}`),
+      powerupsEnabled: settings.powerups,
+      noGuess: settings.noGuess
+    });
+    
+    dailyDate = today;
+    dailyScored = daily.attempted !== today;
+    
+    const row = Math.floor(board.rows / 2);
+    const col = Math.floor(board.cols / 2);
+    const warning = placeMines(row, col);
+    
+    UI.showHint({
+      type: 'safe',
+      cell: Board.getCell(board, row, col),
+      cells: [],
+      sources: [],
+      message: (dailyScored ?
+        `Daily challenge for ${today}: you get one scored attempt. Start with the highlighted cell.` :
+        `You have already played the ${today} challenge, so this game is practice. Start with the highlighted cell.`) +
+        (warning ? ` ${warning}` : '')
+    });
+  }
+  
+  /**
+   * Describe how the daily challenge went, for the game over dialog
+   * @returns {string|null} 'scored', 'practice', or null if not a daily game
+   */
+  function getDailyStatus() {
+    if (!dailyDate) return null;
+    return dailyScored ? 'scored' : 'practice';
+  }
+  
+  /**
+   * Record the result of the day's scored attempt and update the streak
+   * @param {boolean} won - Whether the challenge was cleared
+   */
+  function recordDailyResult(won) {
+    if (won) {
+      const yesterday = new Date();
+      yesterday.setDate(yesterday.getDate() - 1);
+      
+      daily.streak = daily.lastWin === getDateKey(yesterday) ? daily.streak + 1 : 1;
+      daily.longestStreak = Math.max(daily.longestStreak, daily.streak);
+      daily.lastWin = dailyDate;
+      
+      daily.results = daily.results.filter(r => r.date !== dailyDate);
+      daily.results.push({
+        name: 'Player',
+        date: dailyDate,
+        time: getTimerSeconds(),
+        timeMs: Math.round(elapsedMs),
+        hints: hintsUsed,
+        pausedMs: Math.round(pausedMs)
+      });
+      
+      // Keep the best 100 days
+      daily.results.sort((a, b) => getScoreMs(a) - getScoreMs(b));
+      daily.results = daily.results.slice(0, 100);
+    } else {
+      daily.streak = 0;
+    }
+    
+    saveDaily();
+  }
+  
+  /**
+   * Put the player's name on today's daily result
+   * @param {string} name - Player name
+   */
+  function nameDailyResult(name) {
+    const result = daily.results.find(r => r.date === dailyDate);
+    if (result) {
+      result.name = name.substring(0, 20);
+      saveDaily();
+    }
+  }
+  
+  /**
+   * Get the current daily streak
+   * @returns {number} Consecutive daily wins up to today or yesterday
+   */
+  function getDailyStreak() {
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    
+    if (daily.lastWin === getDateKey() || daily.lastWin === getDateKey(yesterday)) {
+      return daily.streak;
+    }
+    return 0;
+  }
+  
+  /**
+   * Load daily challenge data from localStorage
+   */
+  function loadDaily() {
+    try {
+      const saved = localStorage.getItem('minesweeper_daily');
+      if (saved) {
+        daily = Object.assign(daily, JSON.parse(saved));
+      }
+    } catch (e) {
+      console.warn('Could not load daily challenge data');
+    }
+  }
+  
+  /**
+   * Save daily challenge data to localStorage
+   */
+  function saveDaily() {
+    try {
+      localStorage.setItem('minesweeper_daily', JSON.stringify(daily));
+    } catch (e) {
+      console.warn('Could not save daily challenge data');
+    }
   }
   
   /**
@@ -658,6 +2798,55 @@ const Game = (function() {
     }
   }
   
+  /**
+   * Load the leaderboard order from localStorage
+   */
+  function loadScoreSort() {
+    try {
+      if (localStorage.getItem('minesweeper_score_sort') === 'bbbvPerSecond') {
+        scoreSort = 'bbbvPerSecond';
+      }
+    } catch (e) {
+      console.warn('Could not load leaderboard order');
+    }
+  }
+  
+  /**
+   * Load the board renderer setting from localStorage
+   */
+  function loadRenderer() {
+    try {
+      const saved = localStorage.getItem('minesweeper_renderer');
+      if (saved === 'dom' || saved === 'canvas') {
+        renderer = saved;
+      }
+    } catch (e) {
+      console.warn('Could not load renderer setting');
+    }
+  }
+  
+  /**
+   * Save the board renderer setting to localStorage
+   */
+  function saveRenderer() {
+    try {
+      localStorage.setItem('minesweeper_renderer', renderer);
+    } catch (e) {
+      console.warn('Could not save renderer setting');
+    }
+  }
+  
+  /**
+   * Save the leaderboard order to localStorage
+   */
+  function saveScoreSort() {
+    try {
+      localStorage.setItem('minesweeper_score_sort', scoreSort);
+    } catch (e) {
+      console.warn('Could not save leaderboard order');
+    }
+  }
+  
   /**
    * Save high scores to localStorage
    */
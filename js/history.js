@@ -0,0 +1,83 @@
+/**
+ * MoveHistory - Undo/redo stacks of reversible move commands
+ */
+const MoveHistory = (function() {
+  let undoStack = [];
+  let redoStack = [];
+  
+  /**
+   * Forget all recorded moves
+   */
+  function clear() {
+    undoStack = [];
+    redoStack = [];
+  }
+  
+  /**
+   * Record a move that was just made
+   * @param {Object} command - Move command with its cell changes
+   */
+  function push(command) {
+    undoStack.push(command);
+    redoStack = [];
+  }
+  
+  /**
+   * Get the move that undo would revert
+   * @returns {Object|null} Command or null
+   */
+  function peekUndo() {
+    return undoStack.length > 0 ? undoStack[undoStack.length - 1] : null;
+  }
+  
+  /**
+   * Move the last command onto the redo stack
+   * @returns {Object|null} Command to revert, or null
+   */
+  function undo() {
+    const command = undoStack.pop();
+    if (!command) return null;
+    
+    redoStack.push(command);
+    return command;
+  }
+  
+  /**
+   * Move the last undone command back onto the undo stack
+   * @returns {Object|null} Command to re-apply, or null
+   */
+  function redo() {
+    const command = redoStack.pop();
+    if (!command) return null;
+    
+    undoStack.push(command);
+    return command;
+  }
+  
+  /**
+   * Check if there is a move to undo
+   * @returns {boolean} Whether undo is possible
+   */
+  function canUndo() {
+    return undoStack.length > 0;
+  }
+  
+  /**
+   * Check if there is a move to redo
+   * @returns {boolean} Whether redo is possible
+   */
+  function canRedo() {
+    return redoStack.length > 0;
+  }
+  
+  return {
+    clear,
+    push,
+    peekUndo,
+    undo,
+    redo,
+    canUndo,
+    canRedo
+  };
+})();
+
@@ -1,15 +1,91 @@
 /**
- * Input - Unified mouse and touch input handling
+ * Input - Unified mouse, touch and keyboard input handling
  */
 const Input = (function() {
   let longPressTimer = null;
-  let longPressMs = 500;
+  let doubleTapMs = 300;
   let isLongPress = false;
   let touchStartPos = null;
   let activeTouchCell = null;
+  let twoFingerCell = null; // Cell under the first finger of a two-finger tap
+  let lastTap = null; // Last tap on an open number, for double taps
+  let pinch = null; // Finger spread and midpoint while two fingers are down
+  let padFrame = null; // Pending gamepad poll
+  let padStates = {}; // Per gamepad: buttons held last poll, direction held and when it repeats
   let bothButtonsDown = false;
   let leftDown = false;
   let rightDown = false;
+  let boardElement = null;
+  let cursor = { row: 0, col: 0 };
+  
+  // Arrow keys and Enter always work; the other keys come from the bindings
+  const FIXED_KEYS = {
+    arrowup: 'up',
+    arrowdown: 'down',
+    arrowleft: 'left',
+    arrowright: 'right',
+    enter: 'reveal'
+  };
+  const DIRECTIONS = {
+    up: [-1, 0],
+    down: [1, 0],
+    left: [0, -1],
+    right: [0, 1]
+  };
+  
+  // Keys are matched in lower case. The default right key is L because D
+  // chords, so WASD players move right with the right arrow or L. H is the
+  // hint shortcut, so vi-style movement has no left key.
+  const DEFAULT_BINDINGS = {
+    mouse: {
+      left: 'reveal',
+      shiftLeft: 'flag',
+      middle: 'chord',
+      right: 'flag',
+      both: 'chord'
+    },
+    keys: {
+      up: ['w', 'k'],
+      down: ['s', 'j'],
+      left: ['a'],
+      right: ['l'],
+      reveal: [' '],
+      flag: ['f'],
+      chord: ['d'],
+      flagMode: ['x']
+    },
+    touch: {
+      tap: 'reveal',
+      doubleTap: 'chord',
+      longPress: 'flag',
+      twoFingerTap: 'flag',
+      longPressMs: 500,
+      haptics: true
+    },
+    chordOnNumber: false
+  };
+  
+  let bindings = getDefaultBindings();
+  let keyActions = getKeyActions(bindings.keys);
+  let flagMode = false;
+  
+  // Buttons of the standard gamepad layout
+  const PAD_BUTTONS = {
+    a: 0,
+    b: 1,
+    x: 2,
+    y: 3,
+    lb: 4,
+    rb: 5,
+    start: 9,
+    up: 12,
+    down: 13,
+    left: 14,
+    right: 15
+  };
+  const STICK_DEADZONE = 0.5;
+  const PAD_REPEAT_DELAY_MS = 300; // Holding a direction starts repeating after this
+  const PAD_REPEAT_MS = 100;
   
   // Callbacks
   let onReveal = null;
@@ -17,6 +93,15 @@ const Input = (function() {
   let onChord = null;
   let onCellPress = null;
   let onCellRelease = null;
+  let onPowerupKey = null;
+  let onFlagModeChange = null;
+  let onZoom = null;
+  let onPan = null;
+  let onPowerupCycle = null;
+  let onPowerupUse = null;
+  let onMenu = null;
+  let onCursorMove = null;
+  let isOpenNumber = null;
   
   /**
    * Initialize input handlers
@@ -29,6 +114,16 @@ const Input = (function() {
     onChord = callbacks.onChord || (() => {});
     onCellPress = callbacks.onCellPress || (() => {});
     onCellRelease = callbacks.onCellRelease || (() => {});
+    onPowerupKey = callbacks.onPowerupKey || (() => {});
+    onFlagModeChange = callbacks.onFlagModeChange || (() => {});
+    onZoom = callbacks.onZoom || (() => {});
+    onPan = callbacks.onPan || (() => {});
+    onPowerupCycle = callbacks.onPowerupCycle || (() => {});
+    onPowerupUse = callbacks.onPowerupUse || (() => {});
+    onMenu = callbacks.onMenu || (() => {});
+    onCursorMove = callbacks.onCursorMove || (() => {});
+    isOpenNumber = callbacks.isOpenNumber || (() => false);
+    boardElement = boardEl;
     
     // Mouse events
     boardEl.addEventListener('mousedown', handleMouseDown);
@@ -41,30 +136,127 @@ const Input = (function() {
     boardEl.addEventListener('touchend', handleTouchEnd);
     boardEl.addEventListener('touchcancel', handleTouchCancel);
     boardEl.addEventListener('touchmove', handleTouchMove, { passive: false });
+    
+    // Keyboard events, captured so the board sees its keys before the
+    // game's shortcuts do
+    boardEl.addEventListener('focusin', handleFocusIn);
+    document.addEventListener('keydown', handleKeyDown, true);
+    
+    // Gamepads are polled while any is connected
+    window.addEventListener('gamepadconnected', startGamepadPolling);
+    window.addEventListener('gamepaddisconnected', handleGamepadDisconnected);
+    if (getGamepads().length > 0) {
+      startGamepadPolling();
+    }
   }
   
   /**
-   * Set long press duration
+   * Set long press duration, which also becomes the default
    * @param {number} ms - Duration in milliseconds
    */
   function setLongPressMs(ms) {
-    longPressMs = ms;
+    DEFAULT_BINDINGS.touch.longPressMs = ms;
+    bindings.touch.longPressMs = ms;
   }
   
   /**
-   * Get cell from event target
-   * @param {Event} e - Event object
-   * @returns {Object|null} Cell row and col, or null
+   * Set how quickly the second tap of a double tap must follow the first
+   * @param {number} ms - Time between taps in milliseconds
+   */
+  function setDoubleTapMs(ms) {
+    doubleTapMs = ms;
+  }
+  
+  /**
+   * Get a copy of the default bindings
+   * @returns {Object} Bindings with mouse, keys, touch and chordOnNumber
+   */
+  function getDefaultBindings() {
+    return JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+  }
+  
+  /**
+   * Get a copy of the current bindings
+   * @returns {Object} Bindings with mouse, keys, touch and chordOnNumber
+   */
+  function getBindings() {
+    return JSON.parse(JSON.stringify(bindings));
+  }
+  
+  /**
+   * Replace the bindings
+   * @param {Object} newBindings - Mouse button actions, keys per action, touch gestures and chordOnNumber
    */
-  function getCellFromEvent(e) {
-    const target = e.target.closest('.cell');
-    if (!target) return null;
+  function setBindings(newBindings) {
+    bindings = JSON.parse(JSON.stringify(newBindings));
+    keyActions = getKeyActions(bindings.keys);
+  }
+  
+  /**
+   * Build the key lookup used while playing
+   * @param {Object} keys - Keys per action
+   * @returns {Object} Action per lower case key
+   */
+  function getKeyActions(keys) {
+    const actions = Object.assign({}, FIXED_KEYS);
+    for (const [action, list] of Object.entries(keys)) {
+      for (const key of list) {
+        actions[key] = action;
+      }
+    }
+    return actions;
+  }
+  
+  /**
+   * Turn flag mode on or off; while on, left-clicks and taps that would
+   * reveal flag instead, and the other way round
+   * @param {boolean} on - Whether flag mode is on
+   */
+  function setFlagMode(on) {
+    flagMode = !!on;
+    onFlagModeChange(flagMode);
+  }
+  
+  /**
+   * Check if flag mode is on
+   * @returns {boolean} Whether left-click and tap flag
+   */
+  function isFlagMode() {
+    return flagMode;
+  }
+  
+  /**
+   * Carry out an action on a cell
+   * @param {string} action - 'reveal', 'flag', 'chord' or 'none'
+   * @param {Object} cell - Cell row and col
+   * @param {boolean} primary - Whether the action came from a left-click or tap, which flag mode swaps
+   */
+  function dispatch(action, cell, primary = false) {
+    if (primary && flagMode) {
+      action = action === 'reveal' ? 'flag' : action === 'flag' ? 'reveal' : action;
+    }
     
-    return {
-      row: parseInt(target.dataset.row, 10),
-      col: parseInt(target.dataset.col, 10),
-      element: target
-    };
+    // Revealing an open number does nothing, so it may chord instead
+    if (action === 'reveal' && bindings.chordOnNumber && isOpenNumber(cell.row, cell.col)) {
+      action = 'chord';
+    }
+    
+    if (action === 'reveal') {
+      onReveal(cell.row, cell.col);
+    } else if (action === 'flag') {
+      onFlag(cell.row, cell.col);
+    } else if (action === 'chord') {
+      onChord(cell.row, cell.col);
+    }
+  }
+  
+  /**
+   * Give a short buzz for a touch gesture, if haptics are on
+   */
+  function vibrate() {
+    if (bindings.touch.haptics && navigator.vibrate) {
+      navigator.vibrate(50);
+    }
   }
   
   /**
@@ -72,20 +264,22 @@ const Input = (function() {
    * @param {MouseEvent} e - Mouse event
    */
   function handleMouseDown(e) {
-    const cell = getCellFromEvent(e);
+    const cell = getCellFromTarget(e.target, e.clientX, e.clientY);
     if (!cell) return;
     
     if (e.button === 0) {
       leftDown = true;
+    } else if (e.button === 1) {
+      e.preventDefault(); // No autoscroll
     } else if (e.button === 2) {
       rightDown = true;
     }
     
-    // Check for chord (both buttons)
+    // Check for both buttons
     if (leftDown && rightDown) {
       bothButtonsDown = true;
       onCellPress(cell.row, cell.col);
-    } else if (e.button === 0) {
+    } else if (e.button !== 2) {
       onCellPress(cell.row, cell.col);
     }
   }
@@ -95,28 +289,31 @@ const Input = (function() {
    * @param {MouseEvent} e - Mouse event
    */
   function handleMouseUp(e) {
-    const cell = getCellFromEvent(e);
+    const cell = getCellFromTarget(e.target, e.clientX, e.clientY);
     
     onCellRelease();
     
     if (bothButtonsDown && cell) {
-      // Chord reveal
       bothButtonsDown = false;
       leftDown = false;
       rightDown = false;
-      onChord(cell.row, cell.col);
+      dispatch(bindings.mouse.both, cell);
       return;
     }
     
     if (e.button === 0) {
       leftDown = false;
       if (cell && !rightDown) {
-        onReveal(cell.row, cell.col);
+        dispatch(e.shiftKey ? bindings.mouse.shiftLeft : bindings.mouse.left, cell, true);
+      }
+    } else if (e.button === 1) {
+      if (cell) {
+        dispatch(bindings.mouse.middle, cell);
       }
     } else if (e.button === 2) {
       rightDown = false;
       if (cell && !leftDown) {
-        onFlag(cell.row, cell.col);
+        dispatch(bindings.mouse.right, cell);
       }
     }
     
@@ -146,10 +343,25 @@ const Input = (function() {
    * @param {TouchEvent} e - Touch event
    */
   function handleTouchStart(e) {
-    if (e.touches.length > 1) return; // Ignore multi-touch
+    if (e.touches.length === 2) {
+      // Two fingers pinch and pan, or make a two-finger tap on the first
+      // finger's cell if they lift without moving
+      e.preventDefault();
+      clearTimeout(longPressTimer);
+      twoFingerCell = activeTouchCell && !isLongPress ? activeTouchCell : null;
+      activeTouchCell = null;
+      pinch = getPinch(e.touches);
+      onCellRelease();
+      return;
+    }
+    if (e.touches.length > 2) {
+      twoFingerCell = null;
+      pinch = null;
+      return;
+    }
     
     const touch = e.touches[0];
-    const cell = getCellFromTarget(touch.target);
+    const cell = getCellFromTarget(touch.target, touch.clientX, touch.clientY);
     
     if (!cell) return;
     
@@ -165,14 +377,10 @@ const Input = (function() {
     longPressTimer = setTimeout(() => {
       if (activeTouchCell) {
         isLongPress = true;
-        onFlag(activeTouchCell.row, activeTouchCell.col);
-        
-        // Visual feedback
-        if (navigator.vibrate) {
-          navigator.vibrate(50);
-        }
+        vibrate();
+        dispatch(bindings.touch.longPress, activeTouchCell, true);
       }
-    }, longPressMs);
+    }, bindings.touch.longPressMs);
   }
   
   /**
@@ -183,11 +391,38 @@ const Input = (function() {
     clearTimeout(longPressTimer);
     onCellRelease();
     
+    if (e.touches.length < 2) {
+      pinch = null;
+    }
+    
+    // A two-finger tap acts once both fingers are up
+    if (twoFingerCell) {
+      if (e.touches.length === 0) {
+        const cell = twoFingerCell;
+        twoFingerCell = null;
+        touchStartPos = null;
+        vibrate();
+        dispatch(bindings.touch.twoFingerTap, cell);
+      }
+      return;
+    }
+    
     if (!activeTouchCell) return;
     
-    // If not a long press, reveal the cell
+    // If not a long press, this is a tap; a second tap on the same open
+    // number soon after is a double tap
     if (!isLongPress) {
-      onReveal(activeTouchCell.row, activeTouchCell.col);
+      const cell = activeTouchCell;
+      const now = Date.now();
+      const onNumber = isOpenNumber(cell.row, cell.col);
+      
+      if (onNumber && lastTap && lastTap.row === cell.row && lastTap.col === cell.col && now - lastTap.time <= doubleTapMs) {
+        lastTap = null;
+        dispatch(bindings.touch.doubleTap, cell);
+      } else {
+        lastTap = onNumber ? { row: cell.row, col: cell.col, time: now } : null;
+        dispatch(bindings.touch.tap, cell, true);
+      }
     }
     
     activeTouchCell = null;
@@ -201,6 +436,8 @@ const Input = (function() {
   function handleTouchCancel() {
     clearTimeout(longPressTimer);
     activeTouchCell = null;
+    twoFingerCell = null;
+    pinch = null;
     touchStartPos = null;
     isLongPress = false;
     onCellRelease();
@@ -211,6 +448,24 @@ const Input = (function() {
    * @param {TouchEvent} e - Touch event
    */
   function handleTouchMove(e) {
+    if (pinch && e.touches.length === 2) {
+      e.preventDefault();
+      const current = getPinch(e.touches);
+      
+      // Fingers that stay put may still be a two-finger tap
+      if (twoFingerCell) {
+        const spread = Math.abs(current.distance - pinch.distance);
+        const shift = Math.hypot(current.x - pinch.x, current.y - pinch.y);
+        if (spread <= 20 && shift <= 20) return;
+        twoFingerCell = null;
+      }
+      
+      onPan(current.x - pinch.x, current.y - pinch.y);
+      onZoom(current.distance / pinch.distance, current.x, current.y);
+      pinch = current;
+      return;
+    }
+    
     if (!touchStartPos || !activeTouchCell) return;
     
     const touch = e.touches[0];
@@ -227,11 +482,324 @@ const Input = (function() {
   }
   
   /**
-   * Get cell from touch target
-   * @param {Element} target - Touch target element
+   * Measure two touches
+   * @param {TouchList} touches - The two touches
+   * @returns {Object} Distance between the fingers and their midpoint x and y
+   */
+  function getPinch(touches) {
+    const [a, b] = touches;
+    return {
+      distance: Math.max(1, Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY)),
+      x: (a.clientX + b.clientX) / 2,
+      y: (a.clientY + b.clientY) / 2
+    };
+  }
+  
+  /**
+   * Handle key down: move the cursor, act on the cell under it, or use a power-up
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  function handleKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    
+    const target = e.target;
+    if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return;
+    
+    // An open dialog keeps its keys; the game waits until it closes
+    if (document.querySelector('.modal.active')) return;
+    
+    // Number keys use the power-up in that inventory slot
+    if (/^[1-9]$/.test(e.key)) {
+      e.preventDefault();
+      onPowerupKey(parseInt(e.key, 10) - 1);
+      return;
+    }
+    
+    const key = e.key.toLowerCase();
+    const action = keyActions[key];
+    const onBoard = boardElement.contains(target);
+    if (!action) return;
+    
+    // Flag mode can be toggled anywhere but in a text field
+    if (action === 'flagMode') {
+      e.preventDefault();
+      setFlagMode(!flagMode);
+      return;
+    }
+    
+    // Arrow keys bring the cursor back when nothing has focus; other
+    // keys only act on the board, so they stay free for other shortcuts
+    const nothingFocused = target === document.body || target === document;
+    if (!onBoard && !(nothingFocused && key.startsWith('arrow'))) return;
+    
+    e.preventDefault();
+    if (DIRECTIONS[action] && onBoard) {
+      const [dr, dc] = DIRECTIONS[action];
+      moveCursor(cursor.row + dr, cursor.col + dc);
+    } else if (DIRECTIONS[action]) {
+      // Start from where the cursor was, or the corner of a smaller board
+      if (!moveCursor(cursor.row, cursor.col)) {
+        moveCursor(0, 0);
+      }
+    } else {
+      dispatch(action, { row: cursor.row, col: cursor.col });
+    }
+  }
+  
+  /**
+   * Get the connected gamepads
+   * @returns {Gamepad[]} Connected gamepads
+   */
+  function getGamepads() {
+    if (!navigator.getGamepads) return [];
+    return Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+  }
+  
+  /**
+   * Start polling gamepads, unless already polling
+   */
+  function startGamepadPolling() {
+    if (padFrame === null) {
+      padFrame = requestAnimationFrame(pollGamepads);
+    }
+  }
+  
+  /**
+   * Forget a gamepad that was unplugged, and stop polling if it was the last
+   * @param {GamepadEvent} e - Gamepad event
+   */
+  function handleGamepadDisconnected(e) {
+    delete padStates[e.gamepad.index];
+    
+    if (getGamepads().length === 0 && padFrame !== null) {
+      cancelAnimationFrame(padFrame);
+      padFrame = null;
+    }
+  }
+  
+  /**
+   * Read every connected gamepad, once per animation frame
+   * @param {number} now - Frame time in milliseconds
+   */
+  function pollGamepads(now) {
+    padFrame = null;
+    
+    const pads = getGamepads();
+    for (const pad of pads) {
+      readGamepad(pad, now);
+    }
+    
+    if (pads.length > 0) {
+      padFrame = requestAnimationFrame(pollGamepads);
+    }
+  }
+  
+  /**
+   * Act on the buttons pressed and the direction held on one gamepad
+   * @param {Gamepad} pad - Gamepad
+   * @param {number} now - Frame time in milliseconds
+   */
+  function readGamepad(pad, now) {
+    const state = padStates[pad.index] || { buttons: [], direction: null, repeatAt: 0 };
+    padStates[pad.index] = state;
+    
+    const wasHeld = state.buttons;
+    const held = pad.buttons.map(button => button.pressed);
+    const pressed = (name) => held[PAD_BUTTONS[name]] && !wasHeld[PAD_BUTTONS[name]];
+    state.buttons = held;
+    
+    // The D-pad wins over the left stick
+    let direction = ['up', 'down', 'left', 'right'].find(name => held[PAD_BUTTONS[name]]) || null;
+    const [stickX = 0, stickY = 0] = pad.axes;
+    if (!direction && Math.max(Math.abs(stickX), Math.abs(stickY)) > STICK_DEADZONE) {
+      if (Math.abs(stickX) > Math.abs(stickY)) {
+        direction = stickX > 0 ? 'right' : 'left';
+      } else {
+        direction = stickY > 0 ? 'down' : 'up';
+      }
+    }
+    
+    if (direction !== state.direction) {
+      state.direction = direction;
+      state.repeatAt = now + PAD_REPEAT_DELAY_MS;
+      if (direction) {
+        moveWithGamepad(direction);
+      }
+    } else if (direction && now >= state.repeatAt) {
+      state.repeatAt = now + PAD_REPEAT_MS;
+      moveWithGamepad(direction);
+    }
+    
+    if (pressed('a')) {
+      const focused = getFocusedControl();
+      if (focused) {
+        focused.click();
+      } else {
+        actWithGamepad('reveal');
+      }
+    }
+    if (pressed('x')) {
+      actWithGamepad('flag');
+    }
+    if (pressed('y')) {
+      actWithGamepad('chord');
+    }
+    if (pressed('lb')) {
+      onPowerupCycle(-1);
+    }
+    if (pressed('rb')) {
+      onPowerupCycle(1);
+    }
+    if (pressed('b')) {
+      onPowerupUse();
+    }
+    if (pressed('start')) {
+      onMenu();
+    }
+  }
+  
+  /**
+   * Get the focused button of an open menu or dialog
+   * @returns {HTMLElement|null} Button, or null when play has the gamepad
+   */
+  function getFocusedControl() {
+    const focused = document.activeElement;
+    if (!focused || focused.tagName !== 'BUTTON') return null;
+    return focused.closest('.dropdown-menu.active, .modal.active') ? focused : null;
+  }
+  
+  /**
+   * Move the cursor, or step between the buttons of an open menu or dialog
+   * @param {string} direction - 'up', 'down', 'left' or 'right'
+   */
+  function moveWithGamepad(direction) {
+    const focused = getFocusedControl();
+    if (focused) {
+      const buttons = Array.from(focused.closest('.dropdown-menu, .modal').querySelectorAll('button:not([disabled])'));
+      const step = direction === 'up' || direction === 'left' ? -1 : 1;
+      const next = buttons[(buttons.indexOf(focused) + step + buttons.length) % buttons.length];
+      next.focus();
+      return;
+    }
+    
+    // A dialog that opened over the board takes the gamepad first
+    const dialog = document.querySelector('.modal.active');
+    const firstButton = dialog && dialog.querySelector('button:not([disabled])');
+    if (firstButton) {
+      firstButton.focus();
+      return;
+    }
+    
+    if (boardElement.contains(document.activeElement)) {
+      const [dr, dc] = DIRECTIONS[direction];
+      moveCursor(cursor.row + dr, cursor.col + dc);
+    } else if (!moveCursor(cursor.row, cursor.col)) {
+      moveCursor(0, 0);
+    }
+  }
+  
+  /**
+   * Act on the cell under the cursor
+   * @param {string} action - 'reveal', 'flag' or 'chord'
+   */
+  function actWithGamepad(action) {
+    if (getFocusedControl() || document.querySelector('.modal.active')) return;
+    
+    dispatch(action, { row: cursor.row, col: cursor.col });
+  }
+  
+  /**
+   * Move the keyboard cursor to a cell and focus it
+   * @param {number} row - Row index
+   * @param {number} col - Column index
+   * @returns {boolean} False if there is no such cell
+   */
+  function moveCursor(row, col) {
+    const { rows, cols } = getBoardSize();
+    if (row < 0 || row >= rows || col < 0 || col >= cols) return false;
+    
+    const previous = boardElement.querySelector('[data-cursor]');
+    if (previous) {
+      previous.removeAttribute('data-cursor');
+    }
+    
+    // A canvas board has no cell elements; the canvas takes focus instead
+    cursor = { row, col };
+    const cellEl = boardElement.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+    if (cellEl) {
+      cellEl.setAttribute('data-cursor', '');
+      cellEl.focus();
+    } else {
+      boardElement.querySelector('[tabindex]').focus();
+    }
+    onCursorMove(row, col);
+    return true;
+  }
+  
+  /**
+   * Get the size of the board on screen
+   * @returns {Object} Number of rows and cols
+   */
+  function getBoardSize() {
+    return {
+      rows: parseInt(boardElement.dataset.rows, 10) || 0,
+      cols: parseInt(boardElement.dataset.cols, 10) || 0
+    };
+  }
+  
+  /**
+   * Keep the cursor on the cell that has focus, however it got there
+   * @param {FocusEvent} e - Focus event
+   */
+  function handleFocusIn(e) {
+    const cell = getCellFromTarget(e.target);
+    if (!cell) return;
+    
+    cursor = { row: cell.row, col: cell.col };
+    
+    // Keep the grid's single tab stop on the focused cell
+    const tabStop = boardElement.querySelector('[tabindex="0"]');
+    if (tabStop && tabStop !== cell.element) {
+      tabStop.setAttribute('tabindex', '-1');
+    }
+    cell.element.setAttribute('tabindex', '0');
+    
+    // Only keyboard moves show the cursor
+    if (!cell.element.hasAttribute('data-cursor')) {
+      const previous = boardElement.querySelector('[data-cursor]');
+      if (previous) {
+        previous.removeAttribute('data-cursor');
+      }
+    }
+  }
+  
+  /**
+   * Get cell from a mouse or touch target
+   *
+   * Given the pointer position, the cell is worked out from where the board
+   * is on screen, which holds at any zoom level and on a canvas board; the
+   * target is used while the board has no layout.
+   * @param {Element} target - Event target element
+   * @param {number} [clientX] - Pointer x on the screen
+   * @param {number} [clientY] - Pointer y on the screen
    * @returns {Object|null} Cell data or null
    */
-  function getCellFromTarget(target) {
+  function getCellFromTarget(target, clientX, clientY) {
+    const rect = boardElement.getBoundingClientRect();
+    const { rows, cols } = getBoardSize();
+    
+    if (clientX !== undefined && rect.width > 0 && rect.height > 0 && rows > 0 && cols > 0) {
+      const row = Math.floor((clientY - rect.top) / rect.height * rows);
+      const col = Math.floor((clientX - rect.left) / rect.width * cols);
+      if (row < 0 || row >= rows || col < 0 || col >= cols) return null;
+      
+      return {
+        row,
+        col,
+        element: boardElement.querySelector(`[data-row="${row}"][data-col="${col}"]`)
+      };
+    }
+    
     const cellEl = target.closest('.cell');
     if (!cellEl) return null;
     
@@ -255,6 +823,14 @@ const Input = (function() {
     boardEl.removeEventListener('touchend', handleTouchEnd);
     boardEl.removeEventListener('touchcancel', handleTouchCancel);
     boardEl.removeEventListener('touchmove', handleTouchMove);
+    boardEl.removeEventListener('focusin', handleFocusIn);
+    document.removeEventListener('keydown', handleKeyDown, true);
+    window.removeEventListener('gamepadconnected', startGamepadPolling);
+    window.removeEventListener('gamepaddisconnected', handleGamepadDisconnected);
+    if (padFrame !== null) {
+      cancelAnimationFrame(padFrame);
+      padFrame = null;
+    }
     
     clearTimeout(longPressTimer);
   }
@@ -262,6 +838,12 @@ const Input = (function() {
   return {
     init,
     setLongPressMs,
+    setDoubleTapMs,
+    getDefaultBindings,
+    getBindings,
+    setBindings,
+    setFlagMode,
+    isFlagMode,
     destroy
   };
 })();
@@ -6,10 +6,14 @@ const PowerUps = (function() {
   let shieldActive = false;
   let freezeActive = false;
   let freezeEndTime = 0;
+  let freezeTimeout = null;
   let detectorTimeout = null;
+  let detectorCell = null; // Highlighted mine and when its highlight ends
+  let pausedAt = null;
   let onInventoryChange = null;
   let onShieldChange = null;
   let onFreezeChange = null;
+  let onDetectorChange = null;
   
   /**
    * Reset power-up state
@@ -19,12 +23,24 @@ const PowerUps = (function() {
     shieldActive = false;
     freezeActive = false;
     freezeEndTime = 0;
+    pausedAt = null;
+    
+    clearTimeout(freezeTimeout);
+    freezeTimeout = null;
     
     if (detectorTimeout) {
       clearTimeout(detectorTimeout);
       detectorTimeout = null;
     }
     
+    // Undo and redo restore through here, so drop a highlight that is still showing
+    if (detectorCell) {
+      detectorCell = null;
+      if (onDetectorChange) {
+        onDetectorChange(null);
+      }
+    }
+    
     notifyInventoryChange();
   }
   
@@ -52,6 +68,14 @@ const PowerUps = (function() {
     onFreezeChange = callback;
   }
   
+  /**
+   * Set callback for the detector highlight, called with the mine's cell or null
+   * @param {Function} callback - Callback function
+   */
+  function setOnDetectorChange(callback) {
+    onDetectorChange = callback;
+  }
+  
   /**
    * Notify inventory change listeners
    */
@@ -158,16 +182,26 @@ const PowerUps = (function() {
     Sound.playDetector();
     
     // Highlight the mine
-    const cellEl = document.querySelector(`[data-row="${mine.row}"][data-col="${mine.col}"]`);
-    if (cellEl) {
-      cellEl.classList.add('detector-highlight');
-      
-      // Remove highlight after duration
-      detectorTimeout = setTimeout(() => {
-        cellEl.classList.remove('detector-highlight');
-        detectorTimeout = null;
-      }, game.config.powerups.types.detector.duration || 3000);
+    if (onDetectorChange) {
+      onDetectorChange(mine);
     }
+    scheduleDetectorEnd(mine, game.config.powerups.types.detector.duration || 3000);
+  }
+  
+  /**
+   * Remove the detector highlight after a delay
+   * @param {Object} mine - Highlighted cell
+   * @param {number} duration - Milliseconds left
+   */
+  function scheduleDetectorEnd(mine, duration) {
+    detectorCell = { cell: mine, endTime: Date.now() + duration };
+    detectorTimeout = setTimeout(() => {
+      if (onDetectorChange) {
+        onDetectorChange(null);
+      }
+      detectorTimeout = null;
+      detectorCell = null;
+    }, duration);
   }
   
   /**
@@ -177,17 +211,33 @@ const PowerUps = (function() {
   function activateFreeze(game) {
     const duration = game.config.powerups.types.freeze.duration || 15000;
     
+    Sound.playFreeze();
+    startFreeze(duration);
+  }
+  
+  /**
+   * Freeze the timer for a duration
+   * @param {number} duration - Freeze duration in milliseconds
+   */
+  function startFreeze(duration) {
     freezeActive = true;
     freezeEndTime = Date.now() + duration;
     
-    Sound.playFreeze();
-    
     if (onFreezeChange) {
       onFreezeChange(true, duration);
     }
     
-    // Auto-deactivate after duration
-    setTimeout(() => {
+    scheduleFreezeEnd(duration);
+  }
+  
+  /**
+   * End the freeze after a delay
+   * @param {number} duration - Milliseconds left
+   */
+  function scheduleFreezeEnd(duration) {
+    clearTimeout(freezeTimeout);
+    freezeTimeout = setTimeout(() => {
+      freezeTimeout = null;
       if (freezeActive && Date.now() >= freezeEndTime) {
         freezeActive = false;
         if (onFreezeChange) {
@@ -197,12 +247,46 @@ const PowerUps = (function() {
     }, duration);
   }
   
+  /**
+   * Suspend the freeze and detector timers while the game is paused
+   */
+  function pause() {
+    if (pausedAt !== null) return;
+    pausedAt = Date.now();
+    
+    clearTimeout(freezeTimeout);
+    freezeTimeout = null;
+    clearTimeout(detectorTimeout);
+    detectorTimeout = null;
+  }
+  
+  /**
+   * Restart the freeze and detector timers with the time they had left
+   */
+  function resume() {
+    if (pausedAt === null) return;
+    const pausedFor = Date.now() - pausedAt;
+    pausedAt = null;
+    
+    if (freezeActive) {
+      freezeEndTime += pausedFor;
+      scheduleFreezeEnd(freezeEndTime - Date.now());
+      if (onFreezeChange) {
+        onFreezeChange(true, freezeEndTime - Date.now());
+      }
+    }
+    
+    if (detectorCell) {
+      scheduleDetectorEnd(detectorCell.cell, detectorCell.endTime + pausedFor - Date.now());
+    }
+  }
+  
   /**
    * Check if timer is frozen
    * @returns {boolean} Freeze state
    */
   function isTimerFrozen() {
-    if (freezeActive && Date.now() >= freezeEndTime) {
+    if (freezeActive && pausedAt === null && Date.now() >= freezeEndTime) {
       freezeActive = false;
       if (onFreezeChange) {
         onFreezeChange(false, 0);
@@ -234,6 +318,43 @@ const PowerUps = (function() {
     }
   }
   
+  /**
+   * Capture power-up state for saving
+   * @returns {Object} Inventory types, shield state and remaining freeze time
+   */
+  function serialize() {
+    return {
+      inventory: inventory.map(p => p.type),
+      shield: shieldActive,
+      freezeRemaining: isTimerFrozen() ? freezeEndTime - (pausedAt !== null ? pausedAt : Date.now()) : 0
+    };
+  }
+  
+  /**
+   * Restore power-up state captured with serialize
+   * @param {Object} state - Saved power-up state
+   */
+  function restore(state) {
+    reset();
+    
+    inventory = state.inventory.map((type, i) => ({
+      type,
+      id: Date.now() + i
+    }));
+    notifyInventoryChange();
+    
+    shieldActive = state.shield;
+    if (onShieldChange) {
+      onShieldChange(shieldActive);
+    }
+    
+    if (state.freezeRemaining > 0) {
+      startFreeze(state.freezeRemaining);
+    } else if (onFreezeChange) {
+      onFreezeChange(false, 0);
+    }
+  }
+  
   /**
    * Get current inventory
    * @returns {Array} Copy of inventory
@@ -265,14 +386,19 @@ const PowerUps = (function() {
     setOnInventoryChange,
     setOnShieldChange,
     setOnFreezeChange,
+    setOnDetectorChange,
     collect,
     use,
     consumeShield,
     hasShield,
+    pause,
+    resume,
     isTimerFrozen,
     getInventory,
     has,
-    count
+    count,
+    serialize,
+    restore
   };
 })();
 
@@ -0,0 +1,99 @@
+/**
+ * Random - Seedable pseudo-random number generation
+ */
+const Random = (function() {
+  const INCREMENT = 0x6D2B79F5;
+  const PRIVATE_INCREMENT = 0x3C6EF373; // Any other odd step gives a separate sequence
+  
+  /**
+   * Create a seeded random number generator (mulberry32)
+   * @param {number} seed - 32-bit integer seed
+   * @param {number} increment - Odd step added to the state on each draw
+   * @returns {Function} Generator returning floats in [0, 1), with getState/setState
+   */
+  function create(seed, increment = INCREMENT) {
+    let state = seed >>> 0;
+    
+    function next() {
+      state = (state + increment) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    // Allow a saved game to continue the same sequence
+    next.getState = () => state;
+    next.setState = (value) => {
+      state = value >>> 0;
+    };
+    
+    return next;
+  }
+  
+  /**
+   * Create a generator that no seed reaches
+   *
+   * Typed seeds and share links go through create, which steps the state
+   * differently, so a board laid with this generator cannot be rebuilt from
+   * them.
+   * @param {string} key - Text naming the board, such as the daily date
+   * @returns {Function} Generator returning floats in [0, 1), with getState/setState
+   */
+  function createPrivate(key) {
+    return create(hashString(key), PRIVATE_INCREMENT);
+  }
+  
+  /**
+   * Generate a new random seed
+   * @returns {number} 32-bit unsigned integer seed
+   */
+  function generateSeed() {
+    if (window.crypto && window.crypto.getRandomValues) {
+      const values = new Uint32Array(1);
+      window.crypto.getRandomValues(values);
+      return values[0];
+    }
+    return Math.floor(Math.random() * 4294967296);
+  }
+  
+  /**
+   * Derive a seed from a string (FNV-1a hash)
+   * @param {string} str - Input string
+   * @returns {number} 32-bit unsigned integer seed
+   */
+  function hashString(str) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+  
+  /**
+   * Parse a seed from user input
+   * @param {string|number} value - Numeric seed or arbitrary text
+   * @returns {number|null} Seed, or null if value is empty
+   */
+  function parseSeed(value) {
+    if (value === null || value === undefined) return null;
+    
+    const str = String(value).trim();
+    if (str === '') return null;
+    
+    if (/^\d+$/.test(str) && Number(str) <= 4294967295) {
+      return Number(str);
+    }
+    return hashString(str);
+  }
+  
+  return {
+    create,
+    createPrivate,
+    generateSeed,
+    hashString,
+    parseSeed
+  };
+})();
+
@@ -0,0 +1,836 @@
+/**
+ * Replay - Records games and plays them back
+ */
+const Replay = (function() {
+  const STORAGE_KEY = 'minesweeper_replays';
+  
+  // Replay files
+  const FILE_FORMAT = 'minesweeper-replay';
+  const FILE_VERSION = 1;
+  const CLIENT_VERSION = '1.0';
+  const TIME_SLACK_MS = 100; // The timer starts a moment after the first move is recorded
+  const POWERUP_TYPES = ['shield', 'detector', 'freeze', 'safeReveal'];
+  const EVENT_CODES = {
+    reveal: 'r',
+    flag: 'f',
+    chord: 'c',
+    powerup: 'p',
+    undo: 'u',
+    redo: 'y'
+  };
+  
+  // Recording
+  let recording = null;
+  let recordStart = 0;
+  let recordPausedAt = null;
+  
+  // Playback
+  let current = null;
+  let handlers = null;
+  let position = 0;
+  let nextEvent = 0;
+  let speed = 1;
+  let playing = false;
+  let tickInterval = null;
+  let lastTick = 0;
+  
+  /**
+   * Start recording a new game
+   * @param {Object} meta - Game settings (difficulty, settings, seed, ...)
+   */
+  function startRecording(meta) {
+    recording = Object.assign({
+      id: createId(),
+      date: new Date().toISOString(),
+      board: null,
+      events: [],
+      result: null,
+      timeMs: null,
+      hints: 0
+    }, meta);
+    recordStart = 0;
+    recordPausedAt = null;
+  }
+  
+  /**
+   * Create an id for a replay
+   * @returns {string} Id that is unique enough for local storage
+   */
+  function createId() {
+    return Date.now().toString(36) + Math.floor(Math.random() * 1296).toString(36);
+  }
+  
+  /**
+   * Continue a recording from a saved game
+   * @param {Object} saved - Recording from getRecording
+   */
+  function resumeRecording(saved) {
+    recording = saved;
+    
+    // Time spent away is not part of the replay
+    const last = saved.events[saved.events.length - 1];
+    recordStart = last ? Date.now() - last.t : 0;
+    recordPausedAt = null;
+  }
+  
+  /**
+   * Record an input with a millisecond timestamp
+   * @param {Object} event - Event with type and row/col or powerup
+   */
+  function record(event) {
+    if (!recording) return;
+    
+    const now = Date.now();
+    if (recording.events.length === 0) {
+      recordStart = now;
+    }
+    recording.events.push(Object.assign({ t: now - recordStart }, event));
+  }
+  
+  /**
+   * Stop the recording clock while the game is paused
+   */
+  function pauseRecording() {
+    if (recordPausedAt === null) {
+      recordPausedAt = Date.now();
+    }
+  }
+  
+  /**
+   * Restart the recording clock, leaving the pause out of the timestamps
+   */
+  function unpauseRecording() {
+    if (recordPausedAt === null) return;
+    
+    recordStart += Date.now() - recordPausedAt;
+    recordPausedAt = null;
+  }
+  
+  /**
+   * Store the layout the recorded game is played on
+   * @param {Object} serialized - Board from Board.serialize, taken when mines are placed
+   * @param {boolean} noGuess - Whether the layout turned out guess-free
+   */
+  function setBoard(serialized, noGuess) {
+    if (recording && !recording.board) {
+      recording.board = serialized;
+      recording.noGuess = noGuess;
+    }
+  }
+  
+  /**
+   * Store the outcome of the recorded game
+   * @param {Object} details - Result, time in milliseconds, hints
+   */
+  function finishRecording(details) {
+    if (recording) {
+      Object.assign(recording, details);
+    }
+  }
+  
+  /**
+   * Get the current recording
+   * @returns {Object|null} Recording
+   */
+  function getRecording() {
+    return recording;
+  }
+  
+  /**
+   * Load saved replays from localStorage
+   * @returns {Array} Replays, newest first
+   */
+  function loadAll() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (Array.isArray(saved)) {
+        return saved;
+      }
+    } catch (e) {
+      console.warn('Could not load replays');
+    }
+    return [];
+  }
+  
+  /**
+   * Write replays to localStorage
+   * @param {Array} replays - Replays to store
+   */
+  function saveAll(replays) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(replays));
+    } catch (e) {
+      console.warn('Could not save replays');
+    }
+  }
+  
+  /**
+   * Save a replay, replacing an earlier copy with the same id
+   * @param {Object} replay - Replay to save
+   * @param {number} maxSaved - Maximum number of replays to keep
+   * @param {Array} keepIds - Ids that are never dropped to make room (high scores)
+   * @returns {string} Replay id
+   */
+  function save(replay, maxSaved = 30, keepIds = []) {
+    const copy = JSON.parse(JSON.stringify(replay));
+    const replays = loadAll().filter(r => r.id !== copy.id);
+    replays.unshift(copy);
+    
+    for (let i = replays.length - 1; i >= 0 && replays.length > maxSaved; i--) {
+      if (!keepIds.includes(replays[i].id)) {
+        replays.splice(i, 1);
+      }
+    }
+    
+    saveAll(replays);
+    return copy.id;
+  }
+  
+  /**
+   * Find a saved replay
+   * @param {string} id - Replay id
+   * @returns {Object|null} Replay
+   */
+  function get(id) {
+    return loadAll().find(r => r.id === id) || null;
+  }
+  
+  /**
+   * Delete a saved replay
+   * @param {string} id - Replay id
+   */
+  function remove(id) {
+    saveAll(loadAll().filter(r => r.id !== id));
+  }
+  
+  /**
+   * Get the length of a replay
+   * @param {Object} replay - Replay
+   * @returns {number} Milliseconds from the first to the last input
+   */
+  function getDuration(replay) {
+    const last = replay.events[replay.events.length - 1];
+    return last ? last.t : 0;
+  }
+  
+  /**
+   * Start watching a replay, paused at the beginning
+   * @param {Object} replay - Replay to play
+   * @param {Object} callbacks - reset(replay), apply(event) and update(state)
+   */
+  function load(replay, callbacks) {
+    stop();
+    current = replay;
+    handlers = callbacks;
+    speed = 1;
+    restart();
+    notify();
+  }
+  
+  /**
+   * Put the board back to before the first input
+   */
+  function restart() {
+    position = 0;
+    nextEvent = 0;
+    handlers.reset(current);
+  }
+  
+  /**
+   * Apply every event up to the current position
+   */
+  function applyEvents() {
+    while (nextEvent < current.events.length && current.events[nextEvent].t <= position) {
+      handlers.apply(current.events[nextEvent]);
+      nextEvent++;
+    }
+  }
+  
+  /**
+   * Report playback state to the viewer
+   */
+  function notify() {
+    handlers.update({
+      position,
+      duration: getDuration(current),
+      speed,
+      playing,
+      eventIndex: nextEvent,
+      eventCount: current.events.length
+    });
+  }
+  
+  /**
+   * Advance playback by the time since the last tick
+   */
+  function tick() {
+    const now = Date.now();
+    const duration = getDuration(current);
+    position = Math.min(duration, position + (now - lastTick) * speed);
+    lastTick = now;
+    
+    applyEvents();
+    
+    if (position >= duration) {
+      pause();
+      return;
+    }
+    notify();
+  }
+  
+  /**
+   * Start or continue playback
+   */
+  function play() {
+    if (!current || playing) return;
+    
+    if (nextEvent >= current.events.length) {
+      restart();
+    }
+    
+    playing = true;
+    lastTick = Date.now();
+    tickInterval = setInterval(tick, 50);
+    notify();
+  }
+  
+  /**
+   * Pause playback
+   */
+  function pause() {
+    playing = false;
+    if (tickInterval) {
+      clearInterval(tickInterval);
+      tickInterval = null;
+    }
+    if (current) {
+      notify();
+    }
+  }
+  
+  /**
+   * Toggle between playing and paused
+   */
+  function togglePlay() {
+    if (playing) {
+      pause();
+    } else {
+      play();
+    }
+  }
+  
+  /**
+   * Change the playback speed
+   * @param {number} value - Speed multiplier
+   */
+  function setSpeed(value) {
+    speed = value > 0 ? value : 1;
+    if (current) {
+      notify();
+    }
+  }
+  
+  /**
+   * Jump to a point in the replay
+   *
+   * Going backwards rebuilds the board and applies the inputs again from the start.
+   * @param {number} ms - Position in milliseconds
+   */
+  function seek(ms) {
+    if (!current) return;
+    
+    const target = Math.max(0, Math.min(getDuration(current), ms));
+    if (target < position) {
+      restart();
+    }
+    
+    position = target;
+    lastTick = Date.now();
+    applyEvents();
+    notify();
+  }
+  
+  /**
+   * Stop watching the replay
+   */
+  function stop() {
+    pause();
+    current = null;
+    handlers = null;
+  }
+  
+  /**
+   * Check if a replay is loaded
+   * @returns {boolean} Whether a replay is being watched
+   */
+  function isActive() {
+    return current !== null;
+  }
+  
+  /**
+   * Write a replay in the portable file format
+   *
+   * Events are stored as [delay, code, ...args] with the delay in
+   * milliseconds since the previous event.
+   * @param {Object} replay - Replay to export
+   * @param {Object} powerupConfig - Power-up configuration for replays recorded without one
+   * @returns {string} Replay file contents
+   */
+  function exportReplay(replay, powerupConfig) {
+    let last = 0;
+    const events = replay.events.map(event => {
+      const entry = [event.t - last, EVENT_CODES[event.type]];
+      last = event.t;
+      
+      if (event.type === 'powerup') {
+        entry.push(event.powerup);
+      } else if (event.type !== 'undo' && event.type !== 'redo') {
+        entry.push(event.row, event.col);
+      }
+      return entry;
+    });
+    
+    return JSON.stringify({
+      format: FILE_FORMAT,
+      version: FILE_VERSION,
+      client: CLIENT_VERSION,
+      date: replay.date,
+      settings: {
+        difficulty: replay.difficulty,
+        rows: replay.settings.rows,
+        cols: replay.settings.cols,
+        mines: replay.settings.mines,
+        noGuess: !!replay.noGuess,
+        powerups: replay.powerupConfig || (replay.powerupsEnabled ? powerupConfig : null)
+      },
+      layout: replay.board,
+      events,
+      result: {
+        outcome: replay.result,
+        timeMs: replay.timeMs,
+        time: replay.time,
+        hints: replay.hints,
+        disqualified: !!replay.disqualified
+      }
+    });
+  }
+  
+  /**
+   * Read a replay file
+   *
+   * The moves are played through Board against the embedded layout, and the
+   * file is rejected if any move is impossible or the outcome differs.
+   * @param {string} text - Replay file contents
+   * @param {Object} limits - Board size limits, as in config.custom
+   * @returns {Object} { replay, error } with error empty on success
+   */
+  function importReplay(text, limits) {
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      data = null;
+    }
+    
+    if (!data || data.format !== FILE_FORMAT) {
+      return invalid('this file is not a Minesweeper replay.');
+    }
+    if (data.version !== FILE_VERSION) {
+      return invalid(`this replay uses format version ${data.version}, which this version of the game cannot read.`);
+    }
+    
+    const settings = data.settings;
+    const layoutError = checkLayout(settings, data.layout, limits);
+    if (layoutError) {
+      return invalid(layoutError);
+    }
+    
+    const events = decodeEvents(data.events);
+    if (typeof events === 'string') {
+      return invalid(events);
+    }
+    
+    const result = data.result || {};
+    const replay = {
+      id: createId(),
+      date: typeof data.date === 'string' ? data.date : new Date().toISOString(),
+      difficulty: ['beginner', 'intermediate', 'expert'].includes(settings.difficulty) ? settings.difficulty : 'custom',
+      settings: { rows: settings.rows, cols: settings.cols, mines: settings.mines },
+      seed: data.layout.seed,
+      powerupsEnabled: !!settings.powerups,
+      powerupConfig: settings.powerups || null,
+      noGuess: !!settings.noGuess,
+      board: data.layout,
+      events,
+      result: result.outcome === 'won' || result.outcome === 'lost' ? result.outcome : null,
+      hints: Number.isInteger(result.hints) ? result.hints : 0,
+      disqualified: !!result.disqualified,
+      client: String(data.client || '')
+    };
+    
+    const outcome = simulate(replay);
+    if (outcome.error) {
+      return invalid(outcome.error);
+    }
+    if (outcome.result !== replay.result) {
+      return invalid('the result stored in this replay does not match its moves.');
+    }
+    if (outcome.disqualified && !replay.disqualified) {
+      return invalid('this replay takes back a mine hit but is not marked as practice.');
+    }
+    
+    // Replays made before times were kept in milliseconds only have whole seconds
+    if (Number.isInteger(result.timeMs) && result.timeMs >= 0) {
+      replay.timeMs = result.timeMs;
+    } else if (Number.isInteger(result.time)) {
+      replay.time = result.time;
+    }
+    if (replay.result === 'won' && replay.timeMs !== undefined && replay.timeMs < getShortestTime(replay)) {
+      return invalid('the time stored in this replay is shorter than its moves took.');
+    }
+    
+    return { replay, error: '' };
+  }
+  
+  /**
+   * Get the shortest time a won replay could show on the timer
+   *
+   * The timer runs from the first move to the last, except while frozen.
+   * @param {Object} replay - Imported replay
+   * @returns {number} Milliseconds
+   */
+  function getShortestTime(replay) {
+    const events = replay.events;
+    const last = events.length > 0 ? events[events.length - 1].t : 0;
+    const freeze = replay.powerupConfig && replay.powerupConfig.types && replay.powerupConfig.types.freeze;
+    const freezeMs = freeze ? freeze.duration || 15000 : 0;
+    const freezes = events.filter(e => e.type === 'powerup' && e.powerup === 'freeze').length;
+    return last - freezes * freezeMs - TIME_SLACK_MS;
+  }
+  
+  /**
+   * Build a failed import result
+   * @param {string} message - Reason shown to the player
+   * @returns {Object} { replay: null, error }
+   */
+  function invalid(message) {
+    return { replay: null, error: `Could not import replay: ${message}` };
+  }
+  
+  /**
+   * Check the settings and layout of a replay file
+   * @param {Object} settings - Settings from the file
+   * @param {Object} layout - Serialized board from the file
+   * @param {Object} limits - Board size limits, as in config.custom
+   * @returns {string} Error message, or empty if valid
+   */
+  function checkLayout(settings, layout, limits) {
+    if (!settings || !layout) {
+      return 'the settings or layout are missing.';
+    }
+    
+    const { rows, cols, mines } = settings;
+    // The game never makes a board outside the custom limits, so neither may a replay
+    if (!Number.isInteger(rows) || !Number.isInteger(cols) || rows < limits.minRows || rows > limits.maxRows ||
+        cols < limits.minCols || cols > limits.maxCols) {
+      return 'the board size is not valid.';
+    }
+    if (!Number.isInteger(mines) || mines < 1 || mines >= rows * cols) {
+      return 'the mine count is not valid.';
+    }
+    if (layout.rows !== rows || layout.cols !== cols || layout.mineCount !== mines || !layout.minesPlaced) {
+      return 'the layout does not match the settings.';
+    }
+    
+    if (typeof layout.cells !== 'string' || layout.cells.length !== rows * cols || !/^[0-9a-f]*$/.test(layout.cells)) {
+      return 'the layout is damaged.';
+    }
+    if (layout.cells.split('').filter(c => parseInt(c, 16) & 1).length !== mines) {
+      return 'the layout does not have the stated number of mines.';
+    }
+    if (!layout.fixedLayout && /[^01]/.test(layout.cells)) {
+      return 'the layout has cells that were opened or marked before the first move.';
+    }
+    
+    if ((layout.seed !== null && !Number.isInteger(layout.seed)) ||
+        (layout.randomState !== null && !Number.isInteger(layout.randomState))) {
+      return 'the layout is damaged.';
+    }
+    
+    if (!layout.powerups || typeof layout.powerups !== 'object') {
+      return 'the layout is damaged.';
+    }
+    
+    const powerupError = checkPowerupSettings(settings.powerups, rows * cols);
+    if (powerupError) {
+      return powerupError;
+    }
+    
+    const types = settings.powerups && settings.powerups.types ? Object.keys(settings.powerups.types) : [];
+    const powerups = layout.powerups;
+    for (const index of Object.keys(powerups)) {
+      if (!/^\d+$/.test(index) || Number(index) >= rows * cols || parseInt(layout.cells[index], 16) & 1 ||
+          !types.includes(powerups[index])) {
+        return 'the layout has a power-up that cannot be there.';
+      }
+    }
+    return '';
+  }
+  
+  /**
+   * Check the power-up settings of a replay file, which simulate reads
+   * @param {Object|null} powerups - Power-up settings, or null when they were off
+   * @param {number} cellCount - Cells on the board
+   * @returns {string} Error message, or empty if valid
+   */
+  function checkPowerupSettings(powerups, cellCount) {
+    if (powerups === null || powerups === undefined) return '';
+    
+    const damaged = 'the power-up settings are damaged.';
+    if (typeof powerups !== 'object' || !powerups.types || typeof powerups.types !== 'object') {
+      return damaged;
+    }
+    
+    for (const [type, options] of Object.entries(powerups.types)) {
+      if (!POWERUP_TYPES.includes(type) || !options || typeof options !== 'object') {
+        return damaged;
+      }
+    }
+    
+    const { detector, freeze, safeReveal } = powerups.types;
+    const isDuration = (options) => !options || options.duration === undefined ||
+      (Number.isInteger(options.duration) && options.duration >= 0);
+    if (!isDuration(detector) || !isDuration(freeze)) {
+      return damaged;
+    }
+    if (safeReveal && safeReveal.cellCount !== undefined &&
+        !(Number.isInteger(safeReveal.cellCount) && safeReveal.cellCount >= 1 && safeReveal.cellCount <= cellCount)) {
+      return damaged;
+    }
+    return '';
+  }
+  
+  /**
+   * Turn file events back into timed events
+   * @param {Array} entries - Events as [delay, code, ...args]
+   * @returns {Array|string} Events, or an error message
+   */
+  function decodeEvents(entries) {
+    if (!Array.isArray(entries)) {
+      return 'the moves are missing.';
+    }
+    
+    const types = Object.keys(EVENT_CODES);
+    const events = [];
+    let t = 0;
+    
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const type = Array.isArray(entry) ? types.find(k => EVENT_CODES[k] === entry[1]) : null;
+      
+      if (!type || !Number.isInteger(entry[0]) || entry[0] < 0) {
+        return `move ${i + 1} is damaged.`;
+      }
+      
+      t += entry[0];
+      const event = { t, type };
+      
+      if (type === 'powerup') {
+        if (typeof entry[2] !== 'string') {
+          return `move ${i + 1} is damaged.`;
+        }
+        event.powerup = entry[2];
+      } else if (type !== 'undo' && type !== 'redo') {
+        if (!Number.isInteger(entry[2]) || !Number.isInteger(entry[3])) {
+          return `move ${i + 1} is damaged.`;
+        }
+        event.row = entry[2];
+        event.col = entry[3];
+      }
+      
+      events.push(event);
+    }
+    
+    return events;
+  }
+  
+  /**
+   * Play a replay through Board without any display
+   *
+   * Follows the same rules as Game: shields turn a mine hit into a flag,
+   * power-ups are collected when revealed, and undo restores both cells and
+   * power-ups. Every recorded move must change something. Taking back a
+   * mine hit is only allowed in practice mode, which disqualifies the game.
+   * @param {Object} replay - Replay to check
+   * @returns {Object} { result: 'won'|'lost'|null, disqualified, error }
+   */
+  function simulate(replay) {
+    const board = Board.deserialize(replay.board, replay.powerupConfig);
+    const undoStack = [];
+    const redoStack = [];
+    let state = { result: null, shield: false, inventory: [] };
+    let disqualified = false;
+    
+    for (let i = 0; i < replay.events.length; i++) {
+      const event = replay.events[i];
+      
+      if (event.type === 'undo' || event.type === 'redo') {
+        const undoing = event.type === 'undo';
+        const command = undoing ? undoStack.pop() : redoStack.pop();
+        if (!command || (undoing && state.result === 'won')) {
+          return { result: null, error: `move ${i + 1} has nothing to ${event.type}.` };
+        }
+        if (undoing && state.result === 'lost') {
+          disqualified = true;
+        }
+        
+        (undoing ? redoStack : undoStack).push(command);
+        Board.applyStates(board, command.changes, !undoing);
+        state = copyState(undoing ? command.before : command.after);
+        continue;
+      }
+      
+      if (state.result) {
+        return { result: null, error: `move ${i + 1} was made after the game ended.` };
+      }
+      
+      const cellsBefore = Board.captureStates(board);
+      const before = copyState(state);
+      const error = simulateMove(board, event, state, replay.powerupConfig);
+      if (error) {
+        return { result: null, error: `move ${i + 1} ${error}` };
+      }
+      
+      const changes = Board.diffStates(board, cellsBefore);
+      if (changes.length === 0 && JSON.stringify(before) === JSON.stringify(state)) {
+        return { result: null, error: `move ${i + 1} has no effect on the board.` };
+      }
+      
+      undoStack.push({ changes, before, after: copyState(state) });
+      redoStack.length = 0;
+    }
+    
+    return { result: state.result, disqualified, error: '' };
+  }
+  
+  /**
+   * Copy the simulated game state
+   * @param {Object} state - Result, shield and inventory
+   * @returns {Object} Copy
+   */
+  function copyState(state) {
+    return { result: state.result, shield: state.shield, inventory: state.inventory.slice() };
+  }
+  
+  /**
+   * Apply one reveal, flag, chord or power-up to a simulated game
+   * @param {Object} board - Board state
+   * @param {Object} event - Move
+   * @param {Object} state - Simulated game state, updated in place
+   * @param {Object} powerupConfig - Power-up configuration
+   * @returns {string} Error message, or empty if the move is possible
+   */
+  function simulateMove(board, event, state, powerupConfig) {
+    if (event.type === 'powerup') {
+      const index = state.inventory.indexOf(event.powerup);
+      if (index === -1) {
+        return 'uses a power-up that was never collected.';
+      }
+      state.inventory.splice(index, 1);
+      
+      // Same random draws as PowerUps, so later draws stay in step
+      if (event.powerup === 'safeReveal') {
+        const cellCount = powerupConfig.types.safeReveal.cellCount || 3;
+        for (let i = 0; i < cellCount; i++) {
+          const cell = Board.getRandomSafeCell(board);
+          if (cell) {
+            Board.revealCell(board, cell.row, cell.col);
+          }
+        }
+      } else if (event.powerup === 'detector') {
+        Board.getRandomUnflaggedMine(board);
+      }
+      
+      checkSimulatedWin(board, state);
+      return '';
+    }
+    
+    if (!Board.getCell(board, event.row, event.col)) {
+      return 'is outside the board.';
+    }
+    
+    if (event.type === 'flag') {
+      Board.toggleFlag(board, event.row, event.col);
+      return '';
+    }
+    
+    const result = event.type === 'reveal' ?
+      Board.revealCell(board, event.row, event.col) :
+      Board.chordReveal(board, event.row, event.col);
+    
+    if (result.hitMine) {
+      if (state.shield) {
+        state.shield = false;
+        result.explodedCell.isRevealed = false;
+        result.explodedCell.isFlagged = true;
+      } else {
+        result.explodedCell.exploded = true;
+        Board.revealAllMines(board);
+        state.result = 'lost';
+      }
+      return '';
+    }
+    
+    if (result.powerup === 'shield') {
+      state.shield = true;
+    } else if (result.powerup) {
+      state.inventory.push(result.powerup);
+    }
+    
+    checkSimulatedWin(board, state);
+    return '';
+  }
+  
+  /**
+   * End a simulated game if every safe cell is revealed
+   * @param {Object} board - Board state
+   * @param {Object} state - Simulated game state
+   */
+  function checkSimulatedWin(board, state) {
+    if (!Board.checkWin(board)) return;
+    
+    state.result = 'won';
+    for (const cell of board.cells) {
+      if (cell.isMine) {
+        cell.isFlagged = true;
+      }
+    }
+  }
+  
+  return {
+    startRecording,
+    resumeRecording,
+    record,
+    pauseRecording,
+    unpauseRecording,
+    setBoard,
+    finishRecording,
+    getRecording,
+    loadAll,
+    save,
+    get,
+    remove,
+    getDuration,
+    load,
+    play,
+    pause,
+    togglePlay,
+    setSpeed,
+    seek,
+    stop,
+    isActive,
+    exportReplay,
+    importReplay
+  };
+})();
+
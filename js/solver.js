@@ -0,0 +1,800 @@
+/**
+ * Solver - Headless constraint solver for the visible board state
+ *
+ * Reads rows, cols, mineCount and each cell's isRevealed, adjacentMines and
+ * isFlagged, never the hidden isMine of a covered cell. It has no DOM or
+ * Board dependencies, so it runs on any board-shaped object.
+ */
+const Solver = (function() {
+  const DEFAULT_OPTIONS = {
+    trustFlags: false,
+    maxEnumerationCells: 40,
+    maxEnumerationSteps: 100000
+  };
+  
+  /**
+   * Get indices of cells adjacent to a cell
+   * @param {Object} board - Board state
+   * @param {number} index - Cell index
+   * @returns {Array} Array of adjacent cell indices
+   */
+  function getNeighbors(board, index) {
+    const row = Math.floor(index / board.cols);
+    const col = index % board.cols;
+    const neighbors = [];
+    
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        if (dr === 0 && dc === 0) continue;
+        
+        const r = row + dr;
+        const c = col + dc;
+        if (r >= 0 && r < board.rows && c >= 0 && c < board.cols) {
+          neighbors.push(r * board.cols + c);
+        }
+      }
+    }
+    
+    return neighbors;
+  }
+  
+  /**
+   * Build one constraint per revealed number that still touches covered cells
+   * @param {Object} board - Board state
+   * @param {Set} knownMines - Indices already known to be mines
+   * @param {Set} knownSafe - Indices already known to be safe
+   * @returns {Array} Constraints of the form { cells, mines, source }
+   */
+  function buildConstraints(board, knownMines, knownSafe) {
+    const constraints = [];
+    
+    for (const cell of board.cells) {
+      if (!cell.isRevealed || cell.isMine) continue;
+      
+      const unknown = [];
+      let mines = cell.adjacentMines;
+      
+      for (const index of getNeighbors(board, cell.index)) {
+        if (knownMines.has(index)) {
+          mines--;
+        } else if (!board.cells[index].isRevealed && !knownSafe.has(index)) {
+          unknown.push(index);
+        }
+      }
+      
+      if (unknown.length > 0) {
+        constraints.push({ cells: unknown, mines, source: cell.index });
+      }
+    }
+    
+    return constraints;
+  }
+  
+  /**
+   * Get covered cells whose state is not yet known
+   * @param {Object} board - Board state
+   * @param {Set} knownMines - Indices known to be mines
+   * @param {Set} knownSafe - Indices known to be safe
+   * @returns {Array} Array of cell indices
+   */
+  function getUnknownCells(board, knownMines, knownSafe) {
+    const unknown = [];
+    for (const cell of board.cells) {
+      if (!cell.isRevealed && !knownMines.has(cell.index) && !knownSafe.has(cell.index)) {
+        unknown.push(cell.index);
+      }
+    }
+    return unknown;
+  }
+  
+  /**
+   * Record a deduction unless the cell is already decided
+   * @param {Object} result - Deduction result with safe, mines and reasons
+   * @param {number} index - Cell index
+   * @param {boolean} isMine - Whether the cell is a mine
+   * @param {Object} reason - Explanation of the deduction
+   */
+  function addDeduction(result, index, isMine, reason) {
+    if (result.safe.has(index) || result.mines.has(index)) return;
+    
+    (isMine ? result.mines : result.safe).add(index);
+    result.reasons.set(index, reason);
+  }
+  
+  /**
+   * Apply single-cell and subset/superset rules
+   * @param {Array} constraints - Constraints from buildConstraints
+   * @param {Object} result - Receives deductions
+   */
+  function applyRules(constraints, result) {
+    const byCell = new Map();
+    
+    for (const constraint of constraints) {
+      // Single-cell rule: the number is fully satisfied or fully unsatisfied
+      if (constraint.mines === 0 || constraint.mines === constraint.cells.length) {
+        const isMine = constraint.mines > 0;
+        const reason = {
+          rule: 'single',
+          sources: [constraint.source],
+          cells: constraint.cells,
+          mines: constraint.mines
+        };
+        constraint.cells.forEach(index => addDeduction(result, index, isMine, reason));
+      }
+      
+      for (const index of constraint.cells) {
+        if (!byCell.has(index)) {
+          byCell.set(index, []);
+        }
+        byCell.get(index).push(constraint);
+      }
+    }
+    
+    // Subset rule: if A is contained in B, B \ A holds exactly B.mines - A.mines
+    for (const a of constraints) {
+      const supersets = new Set();
+      for (const index of a.cells) {
+        for (const b of byCell.get(index)) {
+          if (b !== a && b.cells.length > a.cells.length) {
+            supersets.add(b);
+          }
+        }
+      }
+      
+      for (const b of supersets) {
+        if (!a.cells.every(index => b.cells.includes(index))) continue;
+        
+        const rest = b.cells.filter(index => !a.cells.includes(index));
+        const restMines = b.mines - a.mines;
+        
+        if (restMines === 0 || restMines === rest.length) {
+          const reason = {
+            rule: 'subset',
+            sources: [a.source, b.source],
+            cells: rest,
+            mines: restMines,
+            subset: a.cells,
+            subsetMines: a.mines
+          };
+          rest.forEach(index => addDeduction(result, index, restMines > 0, reason));
+        }
+      }
+    }
+  }
+  
+  /**
+   * Group constraints into independent components of the frontier
+   * @param {Array} constraints - Constraints from buildConstraints
+   * @returns {Array} Components of the form { cells, constraints }
+   */
+  function splitComponents(constraints) {
+    const parent = new Map();
+    
+    const find = (index) => {
+      while (parent.get(index) !== index) {
+        parent.set(index, parent.get(parent.get(index)));
+        index = parent.get(index);
+      }
+      return index;
+    };
+    
+    for (const constraint of constraints) {
+      for (const index of constraint.cells) {
+        if (!parent.has(index)) {
+          parent.set(index, index);
+        }
+      }
+      const root = find(constraint.cells[0]);
+      for (const index of constraint.cells) {
+        parent.set(find(index), root);
+      }
+    }
+    
+    const components = new Map();
+    for (const constraint of constraints) {
+      const root = find(constraint.cells[0]);
+      if (!components.has(root)) {
+        components.set(root, { cells: new Set(), constraints: [] });
+      }
+      const component = components.get(root);
+      component.constraints.push(constraint);
+      constraint.cells.forEach(index => component.cells.add(index));
+    }
+    
+    return [...components.values()].map(component => ({
+      cells: [...component.cells],
+      constraints: component.constraints
+    }));
+  }
+  
+  /**
+   * Enumerate every mine assignment of a component consistent with its constraints
+   * @param {Object} component - Component from splitComponents
+   * @param {Object} options - Solver options
+   * @returns {Object|null} Solution counts per mine total, or null if too large
+   */
+  function enumerateComponent(component, options) {
+    if (component.cells.length > options.maxEnumerationCells) return null;
+    
+    // Order cells so that constrained neighbours are assigned together
+    const order = [];
+    const seen = new Set();
+    for (const constraint of component.constraints) {
+      for (const index of constraint.cells) {
+        if (!seen.has(index)) {
+          seen.add(index);
+          order.push(index);
+        }
+      }
+    }
+    
+    const position = new Map(order.map((index, i) => [index, i]));
+    const constraints = component.constraints.map(c => ({
+      target: c.mines,
+      placed: 0,
+      open: c.cells.length
+    }));
+    const cellConstraints = order.map(() => []);
+    component.constraints.forEach((c, i) => {
+      c.cells.forEach(index => cellConstraints[position.get(index)].push(constraints[i]));
+    });
+    
+    const assignment = new Array(order.length).fill(0);
+    const counts = [];
+    const cellCounts = order.map(() => []);
+    let steps = 0;
+    let aborted = false;
+    
+    const record = () => {
+      let mines = 0;
+      for (const value of assignment) mines += value;
+      counts[mines] = (counts[mines] || 0) + 1;
+      assignment.forEach((value, i) => {
+        if (value) {
+          cellCounts[i][mines] = (cellCounts[i][mines] || 0) + 1;
+        }
+      });
+    };
+    
+    const assign = (i) => {
+      if (aborted) return;
+      if (++steps > options.maxEnumerationSteps) {
+        aborted = true;
+        return;
+      }
+      if (i === order.length) {
+        record();
+        return;
+      }
+      
+      for (const value of [0, 1]) {
+        let valid = true;
+        for (const c of cellConstraints[i]) {
+          c.placed += value;
+          c.open--;
+          if (c.placed > c.target || c.placed + c.open < c.target) {
+            valid = false;
+          }
+        }
+        
+        if (valid) {
+          assignment[i] = value;
+          assign(i + 1);
+        }
+        
+        for (const c of cellConstraints[i]) {
+          c.placed -= value;
+          c.open++;
+        }
+      }
+      assignment[i] = 0;
+    };
+    
+    assign(0);
+    if (aborted) return null;
+    
+    return { cells: order, counts, cellCounts };
+  }
+  
+  /**
+   * Natural log of the binomial coefficient C(n, k)
+   * @param {number} n - Set size
+   * @param {number} k - Subset size
+   * @returns {number} log(C(n, k))
+   */
+  function logChoose(n, k) {
+    let result = 0;
+    for (let i = 1; i <= k; i++) {
+      result += Math.log(n - k + i) - Math.log(i);
+    }
+    return result;
+  }
+  
+  /**
+   * Convolve two mine-count distributions
+   * @param {Array} a - Weights indexed by mine count
+   * @param {Array} b - Weights indexed by mine count
+   * @returns {Array} Combined weights indexed by mine count
+   */
+  function convolve(a, b) {
+    const result = [];
+    for (let i = 0; i < a.length; i++) {
+      if (!a[i]) continue;
+      for (let j = 0; j < b.length; j++) {
+        if (!b[j]) continue;
+        result[i + j] = (result[i + j] || 0) + a[i] * b[j];
+      }
+    }
+    return result;
+  }
+  
+  /**
+   * Weigh enumerated components against the global mine count
+   * @param {Array} solutions - Enumeration results for every frontier component
+   * @param {number} otherCells - Unknown cells outside the frontier
+   * @param {number} remainingMines - Mines not yet known
+   * @returns {Object|null} Per-cell mine weights, or null if no layout fits
+   */
+  function combineSolutions(solutions, otherCells, remainingMines) {
+    // Weights for placing r mines among the unconstrained cells, scaled to avoid overflow
+    const logWeights = [];
+    for (let r = 0; r <= Math.min(otherCells, remainingMines); r++) {
+      logWeights[r] = logChoose(otherCells, r);
+    }
+    const maxLog = Math.max(...logWeights);
+    const otherWeight = (r) => (r < 0 || r >= logWeights.length ? 0 : Math.exp(logWeights[r] - maxLog));
+    
+    const mineWeights = new Map();
+    let total = 0;
+    
+    solutions.forEach((solution, j) => {
+      let others = [1];
+      solutions.forEach((other, k) => {
+        if (k !== j) others = convolve(others, other.counts);
+      });
+      
+      const weightFor = (mines) => {
+        let weight = 0;
+        others.forEach((count, k) => {
+          if (count) weight += count * otherWeight(remainingMines - mines - k);
+        });
+        return weight;
+      };
+      
+      const weights = solution.counts.map((count, mines) => (count ? weightFor(mines) : 0));
+      if (j === 0) {
+        total = solution.counts.reduce((sum, count, mines) => sum + (count ? count * weights[mines] : 0), 0);
+      }
+      
+      solution.cells.forEach((index, i) => {
+        let weight = 0;
+        solution.cellCounts[i].forEach((count, mines) => {
+          if (count) weight += count * weights[mines];
+        });
+        mineWeights.set(index, weight);
+      });
+    });
+    
+    // Expected share of mines among the unconstrained cells
+    let all = [1];
+    solutions.forEach(solution => {
+      all = convolve(all, solution.counts);
+    });
+    
+    let otherTotal = 0;
+    let otherMines = 0;
+    all.forEach((count, k) => {
+      if (!count) return;
+      const rest = remainingMines - k;
+      const weight = count * otherWeight(rest);
+      otherTotal += weight;
+      otherMines += weight * rest;
+    });
+    
+    if (solutions.length === 0) {
+      total = otherTotal;
+    }
+    if (total === 0) return null;
+    
+    return {
+      total,
+      mineWeights,
+      otherProbability: otherCells > 0 ? otherMines / otherTotal / otherCells : 0
+    };
+  }
+  
+  /**
+   * Deduce cells by enumerating small frontier components
+   * @param {Object} board - Board state
+   * @param {Array} constraints - Constraints from buildConstraints
+   * @param {Set} knownMines - Indices known to be mines
+   * @param {Set} knownSafe - Indices known to be safe
+   * @param {Object} options - Solver options
+   * @param {Object} result - Receives deductions
+   */
+  function applyEnumeration(board, constraints, knownMines, knownSafe, options, result) {
+    const components = splitComponents(constraints);
+    const solutions = components.map(component => enumerateComponent(component, options));
+    const complete = solutions.every(solution => solution !== null);
+    
+    // Local rule: a cell that is never (or always) a mine in any component solution
+    solutions.forEach((solution, j) => {
+      if (!solution) return;
+      
+      const total = solution.counts.reduce((sum, count) => sum + (count || 0), 0);
+      if (total === 0) return;
+      
+      const reason = {
+        rule: 'enumeration',
+        sources: components[j].constraints.map(c => c.source),
+        cells: solution.cells,
+        solutions: total
+      };
+      
+      solution.cells.forEach((index, i) => {
+        const mineCount = solution.cellCounts[i].reduce((sum, count) => sum + (count || 0), 0);
+        if (mineCount === 0) {
+          addDeduction(result, index, false, reason);
+        } else if (mineCount === total) {
+          addDeduction(result, index, true, reason);
+        }
+      });
+    });
+    
+    if (!complete) return;
+    
+    // Global rule: weigh component solutions against the remaining mine count
+    const frontier = new Set(components.flatMap(component => component.cells));
+    const others = getUnknownCells(board, knownMines, knownSafe).filter(index => !frontier.has(index));
+    const remaining = board.mineCount - knownMines.size;
+    const combined = combineSolutions(solutions, others.length, remaining);
+    if (!combined) return;
+    
+    const reason = {
+      rule: 'global',
+      sources: constraints.map(c => c.source),
+      cells: [...frontier, ...others],
+      mines: remaining
+    };
+    
+    combined.mineWeights.forEach((weight, index) => {
+      if (weight === 0) {
+        addDeduction(result, index, false, reason);
+      } else if (weight >= combined.total * (1 - 1e-12)) {
+        addDeduction(result, index, true, reason);
+      }
+    });
+    
+    if (combined.otherProbability === 0 || combined.otherProbability >= 1 - 1e-12) {
+      others.forEach(index => addDeduction(result, index, combined.otherProbability > 0, reason));
+    }
+  }
+  
+  /**
+   * Run one round of deductions from the current knowledge
+   * @param {Object} board - Board state
+   * @param {Set} knownMines - Indices known to be mines
+   * @param {Set} knownSafe - Indices known to be safe
+   * @param {Object} options - Solver options
+   * @returns {Object} Newly proven safe and mine indices with reasons
+   */
+  function deduce(board, knownMines, knownSafe, options) {
+    const result = { safe: new Set(), mines: new Set(), reasons: new Map() };
+    const constraints = buildConstraints(board, knownMines, knownSafe);
+    
+    applyRules(constraints, result);
+    
+    if (result.safe.size === 0 && result.mines.size === 0) {
+      applyEnumeration(board, constraints, knownMines, knownSafe, options, result);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Deduce repeatedly until nothing new is proven
+   * @param {Object} board - Board state
+   * @param {Object} options - Solver options
+   * @returns {Object} Known mine and safe index sets with a reason per deduction
+   */
+  function deduceAll(board, options) {
+    const knownMines = new Set();
+    const knownSafe = new Set();
+    const reasons = new Map();
+    
+    if (options.trustFlags) {
+      board.cells.forEach(cell => {
+        if (cell.isFlagged && !cell.isRevealed) knownMines.add(cell.index);
+      });
+    }
+    
+    for (let round = 0; ; round++) {
+      const step = deduce(board, knownMines, knownSafe, options);
+      if (step.safe.size === 0 && step.mines.size === 0) break;
+      
+      step.safe.forEach(index => knownSafe.add(index));
+      step.mines.forEach(index => knownMines.add(index));
+      step.reasons.forEach((reason, index) => {
+        reason.round = round;
+        reasons.set(index, reason);
+      });
+    }
+    
+    return { knownMines, knownSafe, reasons };
+  }
+  
+  /**
+   * Find every covered cell that is provably safe or provably a mine
+   * @param {Object} board - Board state
+   * @param {Object} options - Solver options
+   * @param {boolean} options.trustFlags - Treat flagged cells as known mines
+   * @param {number} options.maxEnumerationCells - Largest component to enumerate
+   * @param {number} options.maxEnumerationSteps - Search budget per component
+   * @returns {Object} Arrays of safe and mine cells, with a reason per cell index
+   */
+  function solve(board, options = {}) {
+    options = Object.assign({}, DEFAULT_OPTIONS, options);
+    
+    const { knownMines, knownSafe, reasons } = deduceAll(board, options);
+    
+    return {
+      safe: [...knownSafe].map(index => board.cells[index]),
+      mines: [...knownMines].filter(index => reasons.has(index)).map(index => board.cells[index]),
+      reasons
+    };
+  }
+  
+  /**
+   * Calculate the mine probability of every covered cell
+   *
+   * Exact when every frontier component can be enumerated; otherwise large
+   * components fall back to the average density of their constraints.
+   * @param {Object} board - Board state
+   * @param {Object} options - Solver options
+   * @returns {Object} Map of cell index to probability, and whether it is exact
+   */
+  function getProbabilities(board, options = {}) {
+    options = Object.assign({}, DEFAULT_OPTIONS, options);
+    
+    const { knownMines, knownSafe } = deduceAll(board, options);
+    const probabilities = new Map();
+    
+    knownMines.forEach(index => probabilities.set(index, 1));
+    knownSafe.forEach(index => probabilities.set(index, 0));
+    
+    const constraints = buildConstraints(board, knownMines, knownSafe);
+    const components = splitComponents(constraints);
+    const solutions = components.map(component => enumerateComponent(component, options));
+    const frontier = new Set(components.flatMap(component => component.cells));
+    const others = getUnknownCells(board, knownMines, knownSafe).filter(index => !frontier.has(index));
+    const remaining = board.mineCount - knownMines.size;
+    
+    if (solutions.every(solution => solution !== null)) {
+      const combined = combineSolutions(solutions, others.length, remaining);
+      if (combined) {
+        combined.mineWeights.forEach((weight, index) => {
+          probabilities.set(index, weight / combined.total);
+        });
+        others.forEach(index => probabilities.set(index, combined.otherProbability));
+        return { probabilities, exact: true };
+      }
+    }
+    
+    // Estimate: local probabilities per component, ignoring the global mine count
+    let frontierMines = 0;
+    solutions.forEach((solution, j) => {
+      if (solution) {
+        const total = solution.counts.reduce((sum, count) => sum + (count || 0), 0);
+        solution.cells.forEach((index, i) => {
+          const mines = solution.cellCounts[i].reduce((sum, count) => sum + (count || 0), 0);
+          const probability = total > 0 ? mines / total : 0;
+          probabilities.set(index, probability);
+          frontierMines += probability;
+        });
+        return;
+      }
+      
+      const densities = new Map();
+      for (const constraint of components[j].constraints) {
+        const density = constraint.mines / constraint.cells.length;
+        constraint.cells.forEach(index => {
+          if (!densities.has(index)) densities.set(index, []);
+          densities.get(index).push(density);
+        });
+      }
+      densities.forEach((values, index) => {
+        const probability = values.reduce((sum, value) => sum + value, 0) / values.length;
+        probabilities.set(index, probability);
+        frontierMines += probability;
+      });
+    });
+    
+    const otherProbability = others.length > 0
+      ? Math.max(0, Math.min(1, (remaining - frontierMines) / others.length))
+      : 0;
+    others.forEach(index => probabilities.set(index, otherProbability));
+    
+    return { probabilities, exact: false };
+  }
+  
+  /**
+   * Describe a cell position for hint text
+   * @param {Object} board - Board state
+   * @param {number} index - Cell index
+   * @returns {string} Human readable position
+   */
+  function describeCell(board, index) {
+    return `row ${Math.floor(index / board.cols) + 1}, column ${index % board.cols + 1}`;
+  }
+  
+  /**
+   * Format a count with a singular or plural noun
+   * @param {number} count - Count
+   * @param {string} noun - Singular noun
+   * @returns {string} e.g. "1 mine" or "2 mines"
+   */
+  function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+  }
+  
+  /**
+   * Explain why a cell was deduced
+   * @param {Object} board - Board state
+   * @param {Object} reason - Reason recorded by the solver
+   * @param {boolean} isMine - Whether the cell is a mine
+   * @returns {string} Reasoning text
+   */
+  function explain(board, reason, isMine) {
+    const count = reason.cells.length;
+    const verdict = count === 1
+      ? (isMine ? 'it is a mine' : 'it is safe')
+      : (isMine ? 'they are all mines' : 'they are all safe');
+    const source = board.cells[reason.sources[0]];
+    
+    switch (reason.rule) {
+      case 'single':
+        return `The ${source.adjacentMines} at ${describeCell(board, source.index)} means ` +
+          `${count === 1 ? 'this cell' : `these ${count} cells`} must contain ${plural(reason.mines, 'mine')}, so ${verdict}.`;
+      case 'subset': {
+        const other = board.cells[reason.sources[1]];
+        return `The ${source.adjacentMines} at ${describeCell(board, source.index)} puts ` +
+          `${plural(reason.subsetMines, 'mine')} in ${plural(reason.subset.length, 'cell')} that the ` +
+          `${other.adjacentMines} at ${describeCell(board, other.index)} also touches. ` +
+          `Its other ${plural(count, 'cell')} must contain ${plural(reason.mines, 'mine')}, so ${verdict}.`;
+      }
+      case 'enumeration':
+        return `All ${plural(reason.solutions, 'way')} to place mines around these ${count} cells ` +
+          `agree: this cell is ${isMine ? 'a mine' : 'safe'}.`;
+      case 'global':
+        return `Only ${plural(reason.mines, 'mine')} ${reason.mines === 1 ? 'remains' : 'remain'}, and every arrangement that fits the numbers ` +
+          `makes this cell ${isMine ? 'a mine' : 'safe'}.`;
+      default:
+        return '';
+    }
+  }
+  
+  /**
+   * Find the most useful next move: a provably safe cell, a provable mine
+   * that is not flagged yet, or failing that the lowest-risk guess
+   * @param {Object} board - Board state
+   * @param {Object} options - Solver options
+   * @returns {Object|null} Hint with type, cell, highlighted cells and message
+   */
+  function getHint(board, options = {}) {
+    const result = solve(board, options);
+    const ruleOrder = ['single', 'subset', 'enumeration', 'global'];
+    const rank = (cell) => {
+      const reason = result.reasons.get(cell.index);
+      return reason.round * ruleOrder.length + ruleOrder.indexOf(reason.rule);
+    };
+    const byRank = (a, b) => rank(a) - rank(b);
+    
+    // Prefer revealing a safe cell, explained by the simplest rule available
+    const safe = result.safe.filter(c => !c.isFlagged).sort(byRank);
+    const mines = result.mines.filter(c => !c.isFlagged).sort(byRank);
+    
+    if (safe.length > 0 || mines.length > 0) {
+      const type = safe.length > 0 ? 'safe' : 'mine';
+      const cell = safe.length > 0 ? safe[0] : mines[0];
+      const reason = result.reasons.get(cell.index);
+      return {
+        type,
+        cell,
+        cells: reason.rule === 'global' ? [] : reason.cells,
+        sources: reason.rule === 'global' ? [] : reason.sources,
+        message: explain(board, reason, type === 'mine')
+      };
+    }
+    
+    const { probabilities, exact } = getProbabilities(board, options);
+    let best = null;
+    probabilities.forEach((probability, index) => {
+      const cell = board.cells[index];
+      if (cell.isFlagged || probability >= 1) return;
+      if (!best || probability < best.probability) {
+        best = { cell, probability };
+      }
+    });
+    
+    if (!best) return null;
+    
+    const percent = Math.round(best.probability * 100);
+    return {
+      type: 'guess',
+      cell: best.cell,
+      cells: [],
+      sources: [],
+      probability: best.probability,
+      message: `No move is provably safe. The lowest-risk guess is ${describeCell(board, best.cell.index)} ` +
+        `with ${exact ? 'a' : 'roughly a'} ${percent}% chance of a mine.`
+    };
+  }
+  
+  /**
+   * Check whether a layout can be cleared from a first click using logic alone
+   * @param {Object} board - Board state with mines placed
+   * @param {number} startRow - First click row
+   * @param {number} startCol - First click column
+   * @param {Object} options - Solver options
+   * @returns {boolean} True if no guess is ever required
+   */
+  function isSolvable(board, startRow, startCol, options = {}) {
+    options = Object.assign({}, DEFAULT_OPTIONS, options);
+    
+    // Work on a copy so the real board is untouched
+    const sim = {
+      rows: board.rows,
+      cols: board.cols,
+      mineCount: board.cells.filter(c => c.isMine).length,
+      cells: board.cells.map(c => ({
+        index: c.index,
+        isMine: c.isMine,
+        isRevealed: false,
+        adjacentMines: c.adjacentMines
+      }))
+    };
+    const knownMines = new Set();
+    const knownSafe = new Set();
+    let hidden = sim.cells.length - sim.mineCount;
+    
+    const reveal = (index) => {
+      const stack = [index];
+      while (stack.length > 0) {
+        const cell = sim.cells[stack.pop()];
+        if (cell.isRevealed || cell.isMine) continue;
+        
+        cell.isRevealed = true;
+        hidden--;
+        
+        if (cell.adjacentMines === 0) {
+          stack.push(...getNeighbors(sim, cell.index));
+        }
+      }
+    };
+    
+    const start = sim.cells[startRow * sim.cols + startCol];
+    if (start.isMine) return false;
+    reveal(start.index);
+    
+    while (hidden > 0) {
+      const { safe, mines } = deduce(sim, knownMines, knownSafe, options);
+      if (safe.size === 0 && mines.size === 0) {
+        return false;
+      }
+      
+      mines.forEach(index => knownMines.add(index));
+      safe.forEach(index => reveal(index));
+    }
+    
+    return true;
+  }
+  
+  return {
+    solve,
+    getProbabilities,
+    getHint,
+    isSolvable,
+    getNeighbors
+  };
+})();
+
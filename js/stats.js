@@ -0,0 +1,161 @@
+/**
+ * Stats - Lifetime statistics per difficulty, kept in localStorage
+ *
+ * The storage key carries the schema version; when the schema changes,
+ * bump VERSION and convert older data in migrate.
+ */
+const Stats = (function() {
+  const VERSION = 2;
+  const STORAGE_PREFIX = 'minesweeper_stats_v';
+  
+  let stats = {};
+  
+  /**
+   * Create an empty record for one difficulty
+   * @returns {Object} Record with every counter at zero
+   */
+  function createRecord() {
+    return {
+      played: 0,
+      wins: 0,
+      currentStreak: 0,
+      longestStreak: 0,
+      totalTime: 0, // Milliseconds
+      bestTime: null, // Milliseconds
+      cellsRevealed: 0,
+      flagsPlaced: 0,
+      powerupsCollected: 0,
+      powerupsUsed: 0,
+      shieldsConsumed: 0
+    };
+  }
+  
+  /**
+   * Convert statistics saved under an older version
+   * @param {number} version - Version the data was saved with
+   * @param {Object} data - Saved statistics
+   * @returns {Object|null} Statistics in the current schema, or null to start over
+   */
+  function migrate(version, data) {
+    if (version === 1) {
+      // Version 1 kept times in whole seconds
+      for (const record of Object.values(data)) {
+        record.totalTime = (record.totalTime || 0) * 1000;
+        record.bestTime = typeof record.bestTime === 'number' ? record.bestTime * 1000 : null;
+      }
+      return data;
+    }
+    return null;
+  }
+  
+  /**
+   * Fill in counters missing from a saved record
+   * @param {Object} record - Saved record
+   * @returns {Object} Complete record
+   */
+  function normalize(record) {
+    return Object.assign(createRecord(), record);
+  }
+  
+  /**
+   * Load statistics from localStorage
+   */
+  function load() {
+    stats = {};
+    
+    try {
+      let data = JSON.parse(localStorage.getItem(STORAGE_PREFIX + VERSION));
+      
+      // Fall back to the newest older version and convert it
+      for (let version = VERSION - 1; !data && version > 0; version--) {
+        const old = JSON.parse(localStorage.getItem(STORAGE_PREFIX + version));
+        if (old) {
+          data = migrate(version, old);
+          if (data) {
+            localStorage.setItem(STORAGE_PREFIX + VERSION, JSON.stringify(data));
+          }
+          localStorage.removeItem(STORAGE_PREFIX + version);
+        }
+      }
+      
+      if (data) {
+        for (const [difficulty, record] of Object.entries(data)) {
+          stats[difficulty] = normalize(record);
+        }
+      }
+    } catch (e) {
+      console.warn('Could not load statistics');
+    }
+  }
+  
+  /**
+   * Save statistics to localStorage
+   */
+  function save() {
+    try {
+      localStorage.setItem(STORAGE_PREFIX + VERSION, JSON.stringify(stats));
+    } catch (e) {
+      console.warn('Could not save statistics');
+    }
+  }
+  
+  /**
+   * Add a finished game to the statistics
+   * @param {string} difficulty - Difficulty level
+   * @param {Object} game - won, timeMs, cellsRevealed, flagsPlaced, powerupsCollected, powerupsUsed, shieldsConsumed
+   */
+  function recordGame(difficulty, game) {
+    const record = stats[difficulty] || createRecord();
+    stats[difficulty] = record;
+    
+    record.played++;
+    
+    if (game.won) {
+      record.wins++;
+      record.currentStreak++;
+      record.longestStreak = Math.max(record.longestStreak, record.currentStreak);
+      record.totalTime += game.timeMs;
+      if (record.bestTime === null || game.timeMs < record.bestTime) {
+        record.bestTime = game.timeMs;
+      }
+    } else {
+      record.currentStreak = 0;
+    }
+    
+    record.cellsRevealed += game.cellsRevealed || 0;
+    record.flagsPlaced += game.flagsPlaced || 0;
+    record.powerupsCollected += game.powerupsCollected || 0;
+    record.powerupsUsed += game.powerupsUsed || 0;
+    record.shieldsConsumed += game.shieldsConsumed || 0;
+    
+    save();
+  }
+  
+  /**
+   * Get the statistics for one difficulty
+   * @param {string} difficulty - Difficulty level
+   * @returns {Object} Copy of the record, with winRate and averageTime worked out
+   */
+  function get(difficulty) {
+    const record = Object.assign(createRecord(), stats[difficulty]);
+    record.winRate = record.played > 0 ? record.wins / record.played : 0;
+    record.averageTime = record.wins > 0 ? record.totalTime / record.wins : null;
+    return record;
+  }
+  
+  /**
+   * Forget all statistics
+   */
+  function reset() {
+    stats = {};
+    save();
+  }
+  
+  return {
+    load,
+    recordGame,
+    get,
+    reset
+  };
+})();
+
@@ -0,0 +1,315 @@
+/**
+ * Themes - Built-in and imported looks, applied as CSS custom properties
+ *
+ * A theme is a set of values for the variables in THEME_VARIABLES; any it
+ * leaves out keep the Classic values from the stylesheet. Images are data
+ * URIs, so a theme file carries everything it needs.
+ */
+const Themes = (function() {
+  const STORAGE_KEY = 'minesweeper_theme';
+  const CUSTOM_STORAGE_KEY = 'minesweeper_themes';
+  
+  // Theme files
+  const FILE_FORMAT = 'minesweeper-theme';
+  const FILE_VERSION = 1;
+  const MAX_VALUE_LENGTH = 200000;
+  
+  // Every variable a theme may set; images take a url() holding a data URI
+  const THEME_VARIABLES = [
+    // Window
+    '--page-bg', '--win-bg', '--win-light', '--win-dark', '--win-darker', '--win-text',
+    '--win-title', '--win-title-end', '--win-title-text', '--hint-bg', '--hint-text',
+    // Cells and numbers
+    '--cell-bg', '--cell-revealed', '--cell-hover',
+    '--num-1', '--num-2', '--num-3', '--num-4', '--num-5', '--num-6', '--num-7', '--num-8',
+    // LED digits
+    '--led-bg', '--led-on', '--led-font',
+    // Face: a sprite has four frames side by side, smile, surprised, dead and cool
+    '--face-color', '--face-features', '--face-sprite',
+    // Mines and flags
+    '--mine-color', '--mine-exploded', '--mine-image', '--flag-color', '--flag-pole', '--flag-image',
+    // Power-ups: a sprite has four frames side by side, shield, detector, freeze and safe reveal
+    '--powerup-shield', '--powerup-detector', '--powerup-freeze', '--powerup-safe', '--powerup-sprite'
+  ];
+  const IMAGE_VARIABLES = ['--face-sprite', '--mine-image', '--flag-image', '--powerup-sprite'];
+  
+  const BUILT_IN = {
+    classic: {
+      name: 'Classic',
+      variables: {}
+    },
+    xp: {
+      name: 'XP',
+      variables: {
+        '--page-bg': 'linear-gradient(180deg, #5a7edc 0%, #3a6ea5 100%)',
+        '--win-bg': '#ece9d8',
+        '--win-light': '#ffffff',
+        '--win-dark': '#aca899',
+        '--win-darker': '#716f64',
+        '--win-title': '#0054e3',
+        '--win-title-end': '#3d95ff',
+        '--cell-bg': '#d4d0c8',
+        '--cell-revealed': '#ece9d8',
+        '--cell-hover': '#f2f0e6',
+        '--led-bg': '#000000',
+        '--led-on': '#ff2020'
+      }
+    },
+    dark: {
+      name: 'Dark',
+      variables: {
+        '--page-bg': 'linear-gradient(135deg, #1c1c22 0%, #0b0b0e 100%)',
+        '--win-bg': '#2d2d33',
+        '--win-light': '#55555e',
+        '--win-dark': '#1a1a1f',
+        '--win-darker': '#0e0e11',
+        '--win-text': '#e6e6e6',
+        '--win-title': '#3a3f58',
+        '--win-title-end': '#5a6390',
+        '--win-title-text': '#f0f0f0',
+        '--hint-bg': '#3b3b2a',
+        '--hint-text': '#f0f0d0',
+        '--cell-bg': '#3c3c44',
+        '--cell-revealed': '#24242a',
+        '--cell-hover': '#4a4a54',
+        '--num-1': '#6ea8ff',
+        '--num-2': '#5fd068',
+        '--num-3': '#ff6b6b',
+        '--num-4': '#b48cff',
+        '--num-5': '#ffa94d',
+        '--num-6': '#4dd4d4',
+        '--num-7': '#e6e6e6',
+        '--num-8': '#9a9aa5',
+        '--led-bg': '#120808',
+        '--mine-color': '#e6e6e6',
+        '--mine-exploded': '#a82828',
+        '--flag-pole': '#e6e6e6'
+      }
+    },
+    highContrast: {
+      name: 'High Contrast',
+      variables: {
+        '--page-bg': '#000000',
+        '--win-bg': '#000000',
+        '--win-light': '#ffffff',
+        '--win-dark': '#ffffff',
+        '--win-darker': '#ffffff',
+        '--win-text': '#ffffff',
+        '--win-title': '#000000',
+        '--win-title-end': '#000000',
+        '--win-title-text': '#ffff00',
+        '--hint-bg': '#000000',
+        '--hint-text': '#ffff00',
+        '--cell-bg': '#ffffff',
+        '--cell-revealed': '#000000',
+        '--cell-hover': '#ffff00',
+        '--num-1': '#00ffff',
+        '--num-2': '#00ff00',
+        '--num-3': '#ff4040',
+        '--num-4': '#ffff00',
+        '--num-5': '#ff80ff',
+        '--num-6': '#ffffff',
+        '--num-7': '#ffa500',
+        '--num-8': '#c0c0c0',
+        '--led-bg': '#000000',
+        '--led-on': '#ffff00',
+        '--mine-color': '#ffffff',
+        '--mine-exploded': '#ff0000',
+        '--flag-color': '#ff0000',
+        '--flag-pole': '#000000'
+      }
+    }
+  };
+  
+  let custom = []; // Imported themes: id, name and variables
+  let currentId = 'classic';
+  
+  /**
+   * Load imported themes and apply the saved choice
+   */
+  function load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(CUSTOM_STORAGE_KEY));
+      custom = Array.isArray(saved) ? saved.filter(theme => !checkTheme(theme)) : [];
+      currentId = localStorage.getItem(STORAGE_KEY) || 'classic';
+    } catch (e) {
+      console.warn('Could not load themes');
+    }
+    
+    if (!get(currentId)) {
+      currentId = 'classic';
+    }
+    apply(currentId);
+  }
+  
+  /**
+   * Save imported themes to localStorage
+   */
+  function saveCustom() {
+    try {
+      localStorage.setItem(CUSTOM_STORAGE_KEY, JSON.stringify(custom));
+    } catch (e) {
+      console.warn('Could not save themes');
+    }
+  }
+  
+  /**
+   * Get a theme
+   * @param {string} id - Theme ID
+   * @returns {Object|null} Theme name and variables, or null
+   */
+  function get(id) {
+    return BUILT_IN[id] || custom.find(theme => theme.id === id) || null;
+  }
+  
+  /**
+   * List the themes, built-in ones first
+   * @returns {Array} ID, name and whether each theme is built in
+   */
+  function list() {
+    return [
+      ...Object.entries(BUILT_IN).map(([id, theme]) => ({ id, name: theme.name, builtIn: true })),
+      ...custom.map(theme => ({ id: theme.id, name: theme.name, builtIn: false }))
+    ];
+  }
+  
+  /**
+   * Switch to a theme and remember it
+   * @param {string} id - Theme ID
+   */
+  function apply(id) {
+    const theme = get(id);
+    if (!theme) return;
+    
+    // Clear the last theme first, so its values do not leak into this one
+    const root = document.documentElement;
+    THEME_VARIABLES.forEach(name => root.style.removeProperty(name));
+    for (const [name, value] of Object.entries(theme.variables)) {
+      root.style.setProperty(name, value);
+    }
+    
+    // Images replace the drawn shapes, which CSS cannot tell from a variable
+    IMAGE_VARIABLES.forEach(name => {
+      root.classList.toggle(`has${name.slice(1)}`, !!theme.variables[name]);
+    });
+    root.dataset.theme = id;
+    
+    currentId = id;
+    try {
+      localStorage.setItem(STORAGE_KEY, id);
+    } catch (e) {
+      console.warn('Could not save theme');
+    }
+  }
+  
+  /**
+   * Get the theme in use
+   * @returns {string} Theme ID
+   */
+  function getCurrent() {
+    return currentId;
+  }
+  
+  /**
+   * Check a theme's name and variables
+   * @param {Object} theme - Theme with name and variables
+   * @returns {string} Error message, or empty if the theme is valid
+   */
+  function checkTheme(theme) {
+    if (!theme || typeof theme.name !== 'string' || !theme.name.trim()) {
+      return 'the theme has no name.';
+    }
+    if (!theme.variables || typeof theme.variables !== 'object' || Array.isArray(theme.variables)) {
+      return 'the theme has no variables.';
+    }
+    
+    for (const [name, value] of Object.entries(theme.variables)) {
+      if (!THEME_VARIABLES.includes(name)) {
+        return `${name} is not a theme variable.`;
+      }
+      if (typeof value !== 'string' || value.length > MAX_VALUE_LENGTH) {
+        return `the value of ${name} is not a valid CSS value.`;
+      }
+      
+      // Images may only come from inside the file, and nothing else may load anything
+      if (IMAGE_VARIABLES.includes(name)) {
+        if (!/^url\(\s*(["']?)data:image\/[a-z0-9.+-]+(;base64)?,[a-z0-9+/=%._~-]*\1\s*\)$/i.test(value.trim())) {
+          return `${name} must be an image given as url(data:image/...).`;
+        }
+      } else if (/url\(|[;{}<>\\]/i.test(value)) {
+        return `the value of ${name} is not a valid CSS value.`;
+      }
+    }
+    return '';
+  }
+  
+  /**
+   * Add a theme from a theme file, replacing an imported theme of the same name
+   * @param {string} text - File contents
+   * @returns {Object} { theme, error }: the added theme's ID and name, or an error message
+   */
+  function importTheme(text) {
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      data = null;
+    }
+    
+    if (!data || data.format !== FILE_FORMAT) {
+      return invalid('this file is not a Minesweeper theme.');
+    }
+    if (data.version !== FILE_VERSION) {
+      return invalid(`this theme uses format version ${data.version}, which this version of the game cannot read.`);
+    }
+    
+    const error = checkTheme(data);
+    if (error) {
+      return invalid(error);
+    }
+    
+    const name = data.name.trim().slice(0, 40);
+    const existing = custom.find(theme => theme.name === name);
+    const theme = {
+      id: existing ? existing.id : `custom-${Date.now().toString(36)}`,
+      name,
+      variables: Object.assign({}, data.variables)
+    };
+    custom = custom.filter(t => t !== existing).concat(theme);
+    saveCustom();
+    
+    return { theme: { id: theme.id, name: theme.name }, error: '' };
+  }
+  
+  /**
+   * Build the result of a rejected import
+   * @param {string} message - Why the file was rejected
+   * @returns {Object} { theme: null, error }
+   */
+  function invalid(message) {
+    return { theme: null, error: `Could not import theme: ${message}` };
+  }
+  
+  /**
+   * Delete an imported theme, going back to Classic if it was in use
+   * @param {string} id - Theme ID
+   */
+  function remove(id) {
+    custom = custom.filter(theme => theme.id !== id);
+    saveCustom();
+    
+    if (currentId === id) {
+      apply('classic');
+    }
+  }
+  
+  return {
+    load,
+    list,
+    apply,
+    getCurrent,
+    importTheme,
+    remove
+  };
+})();
+
@@ -8,6 +8,25 @@ const UI = (function() {
   let faceBtnEl = null;
   let powerupBarEl = null;
   let powerupInventoryEl = null;
+  let hintBarEl = null;
+  let announcerEl = null;
+  let pendingAnnouncements = [];
+  let cellEls = []; // Cell elements by cell index
+  let cascadeTimeouts = [];
+  let boardCols = 0;
+  let detectorEl = null;
+  
+  // 'auto' draws on a canvas once a board has more cells than the threshold
+  let rendererMode = 'auto';
+  let canvasThreshold = 2500;
+  let canvasMode = false;
+  
+  const POWERUP_NAMES = {
+    shield: 'shield',
+    detector: 'detector',
+    freeze: 'time freeze',
+    safeReveal: 'safe reveal'
+  };
   
   /**
    * Initialize UI elements
@@ -19,6 +38,28 @@ const UI = (function() {
     faceBtnEl = document.getElementById('faceBtn');
     powerupBarEl = document.getElementById('powerupBar');
     powerupInventoryEl = document.querySelector('.powerup-inventory');
+    hintBarEl = document.getElementById('hintBar');
+    announcerEl = document.getElementById('announcer');
+    
+    Viewport.init(boardEl.parentElement, boardEl, document.getElementById('minimap'));
+  }
+  
+  /**
+   * Set when the board is drawn on a canvas instead of with elements
+   * @param {string} mode - 'auto', 'dom' or 'canvas'
+   * @param {number} threshold - Cell count above which 'auto' uses the canvas
+   */
+  function setRenderer(mode, threshold = canvasThreshold) {
+    rendererMode = mode;
+    canvasThreshold = threshold;
+  }
+  
+  /**
+   * Check whether the current board is drawn on a canvas
+   * @returns {boolean} Whether the canvas renderer is in use
+   */
+  function isCanvasMode() {
+    return canvasMode;
   }
   
   /**
@@ -26,22 +67,106 @@ const UI = (function() {
    * @param {Object} board - Board state
    */
   function createBoard(board) {
+    // Reveals still animating belong to the old board
+    cascadeTimeouts.forEach(clearTimeout);
+    cascadeTimeouts = [];
+    CanvasBoard.destroy();
+    
+    canvasMode = rendererMode === 'canvas' ||
+      (rendererMode === 'auto' && board.rows * board.cols > canvasThreshold);
+    
     boardEl.innerHTML = '';
+    boardEl.classList.toggle('canvas-board', canvasMode);
     boardEl.style.gridTemplateColumns = `repeat(${board.cols}, var(--cell-size))`;
     boardEl.style.gridTemplateRows = `repeat(${board.rows}, var(--cell-size))`;
+    boardEl.dataset.rows = board.rows;
+    boardEl.dataset.cols = board.cols;
+    boardCols = board.cols;
+    cellEls = [];
+    detectorEl = null;
+    
+    if (canvasMode) {
+      // The canvas is a single focusable control, not a grid of cells
+      boardEl.removeAttribute('role');
+      boardEl.removeAttribute('aria-rowcount');
+      boardEl.removeAttribute('aria-colcount');
+      CanvasBoard.createBoard(boardEl, board);
+      Viewport.reset(board.rows, board.cols);
+      return;
+    }
     
+    boardEl.setAttribute('role', 'grid');
+    boardEl.setAttribute('aria-rowcount', board.rows);
+    boardEl.setAttribute('aria-colcount', board.cols);
+    
+    // Rows only exist for screen readers; they take no part in the layout
     for (let row = 0; row < board.rows; row++) {
+      const rowEl = document.createElement('div');
+      rowEl.className = 'board-row';
+      rowEl.setAttribute('role', 'row');
+      
       for (let col = 0; col < board.cols; col++) {
         const cell = document.createElement('div');
         cell.className = 'cell';
         cell.dataset.row = row;
         cell.dataset.col = col;
-        cell.setAttribute('role', 'button');
-        cell.setAttribute('tabindex', '0');
-        cell.setAttribute('aria-label', `Cell ${row + 1}, ${col + 1}`);
-        boardEl.appendChild(cell);
+        cell.setAttribute('role', 'gridcell');
+        
+        // One tab stop for the whole grid; the arrow keys move within it
+        cell.setAttribute('tabindex', row === 0 && col === 0 ? '0' : '-1');
+        cell.setAttribute('aria-label', describeCell(board.cells[row * board.cols + col]));
+        rowEl.appendChild(cell);
+        cellEls.push(cell);
       }
+      
+      boardEl.appendChild(rowEl);
     }
+    
+    Viewport.reset(board.rows, board.cols);
+  }
+  
+  /**
+   * Describe a cell for screen readers
+   * @param {Object} cell - Cell data
+   * @returns {string} Position and state, e.g. "Row 2, column 5: revealed, 3 mines nearby"
+   */
+  function describeCell(cell) {
+    let state = 'covered';
+    
+    if (cell.isRevealed && cell.isMine) {
+      state = cell.exploded ? 'exploded mine' : 'mine';
+    } else if (cell.isRevealed && cell.powerup) {
+      state = `revealed, power-up: ${POWERUP_NAMES[cell.powerup] || cell.powerup}`;
+    } else if (cell.isRevealed) {
+      state = cell.adjacentMines > 0 ?
+        `revealed, ${cell.adjacentMines} mine${cell.adjacentMines === 1 ? '' : 's'} nearby` :
+        'revealed, empty';
+    } else if (cell.isFlagged) {
+      state = 'flagged';
+    } else if (cell.isQuestion) {
+      state = 'question mark';
+    } else if (cell.wrongFlag) {
+      state = 'wrong flag';
+    }
+    
+    return `Row ${cell.row + 1}, column ${cell.col + 1}: ${state}`;
+  }
+  
+  /**
+   * Read a message out through the polite live region
+   * @param {string} message - Message for screen readers
+   */
+  function announce(message) {
+    // Messages from the same move are read together
+    pendingAnnouncements.push(message);
+    if (pendingAnnouncements.length > 1) return;
+    
+    // Clearing first makes a repeated message count as a change
+    announcerEl.textContent = '';
+    setTimeout(() => {
+      announcerEl.textContent = pendingAnnouncements.join('. ');
+      pendingAnnouncements = [];
+    }, 50);
   }
   
   /**
@@ -50,7 +175,12 @@ const UI = (function() {
    * @param {boolean} animate - Whether to animate the reveal
    */
   function updateCell(cell, animate = false) {
-    const cellEl = boardEl.querySelector(`[data-row="${cell.row}"][data-col="${cell.col}"]`);
+    if (canvasMode) {
+      CanvasBoard.updateCell(cell);
+      return;
+    }
+    
+    const cellEl = cellEls[cell.row * boardCols + cell.col];
     if (!cellEl) return;
     
     // Clear previous state
@@ -87,6 +217,8 @@ const UI = (function() {
     } else if (cell.wrongFlag) {
       cellEl.classList.add('revealed', 'wrong-flag');
     }
+    
+    cellEl.setAttribute('aria-label', describeCell(cell));
   }
   
   /**
@@ -110,14 +242,138 @@ const UI = (function() {
    * @param {number} delay - Delay between animations in ms
    */
   function updateCellsCascade(cells, delay = 15) {
+    announce(`${cells.length} cells revealed`);
+    
+    if (canvasMode) {
+      CanvasBoard.updateCellsCascade(cells, delay);
+      return;
+    }
+    
     cells.forEach((cell, index) => {
-      setTimeout(() => {
+      cascadeTimeouts.push(setTimeout(() => {
         updateCell(cell, true);
         if (index < cells.length - 1) {
           Sound.playCascade();
         }
-      }, index * delay);
+      }, index * delay));
+    });
+  }
+  
+  /**
+   * Paint mine probabilities over covered cells
+   * @param {Map} probabilities - Map of cell index to mine probability
+   * @param {boolean} exact - Whether the probabilities are exact or estimated
+   */
+  function showProbabilities(probabilities, exact) {
+    clearProbabilities();
+    
+    if (canvasMode) {
+      CanvasBoard.showProbabilities(probabilities, exact);
+      return;
+    }
+    
+    probabilities.forEach((probability, index) => {
+      const cellEl = cellEls[index];
+      if (!cellEl) return;
+      
+      const label = document.createElement('span');
+      label.className = 'probability-label';
+      label.style.setProperty('--mine-probability', probability);
+      label.textContent = (exact ? '' : '~') + Math.round(probability * 100);
+      cellEl.appendChild(label);
+    });
+    
+    boardEl.classList.add('show-probabilities');
+  }
+  
+  /**
+   * Remove the probability overlay
+   */
+  function clearProbabilities() {
+    if (canvasMode) {
+      CanvasBoard.clearProbabilities();
+    }
+    boardEl.classList.remove('show-probabilities');
+    boardEl.querySelectorAll('.probability-label').forEach(label => label.remove());
+  }
+  
+  /**
+   * Highlight a hint on the board and show its reasoning
+   * @param {Object} hint - Hint from Solver.getHint
+   */
+  function showHint(hint) {
+    clearHint();
+    
+    if (canvasMode) {
+      CanvasBoard.showHint(hint);
+      showMessage(hint.message);
+      return;
+    }
+    
+    if (hint.cell) {
+      cellEls[hint.cell.index].classList.add('hint-target', `hint-${hint.type}`);
+    }
+    hint.cells.forEach(index => cellEls[index].classList.add('hint-region'));
+    hint.sources.forEach(index => cellEls[index].classList.add('hint-source'));
+    
+    showMessage(hint.message);
+  }
+  
+  /**
+   * Highlight the mine found by the detector power-up
+   * @param {Object|null} cell - Mine cell, or null to remove the highlight
+   */
+  function setDetectorHighlight(cell) {
+    if (canvasMode) {
+      CanvasBoard.setDetectorHighlight(cell);
+      return;
+    }
+    
+    if (detectorEl) {
+      detectorEl.classList.remove('detector-highlight');
+    }
+    detectorEl = cell ? cellEls[cell.row * boardCols + cell.col] : null;
+    if (detectorEl) {
+      detectorEl.classList.add('detector-highlight');
+    }
+  }
+  
+  /**
+   * Draw the keyboard cursor on the canvas and read out its cell; element
+   * cells show and announce focus themselves
+   * @param {Object} cell - Cell data under the cursor
+   */
+  function setCursor(cell) {
+    if (!canvasMode) return;
+    
+    CanvasBoard.setCursor(cell.row, cell.col);
+    announce(describeCell(cell));
+  }
+  
+  /**
+   * Show a short message in the hint bar
+   * @param {string} message - Message text
+   */
+  function showMessage(message) {
+    hintBarEl.textContent = message;
+    hintBarEl.classList.add('active');
+  }
+  
+  /**
+   * Remove hint highlights and text
+   */
+  function clearHint() {
+    if (canvasMode) {
+      CanvasBoard.clearHint();
+    }
+    
+    const classes = ['hint-target', 'hint-safe', 'hint-mine', 'hint-guess', 'hint-region', 'hint-source'];
+    boardEl.querySelectorAll('.hint-target, .hint-region, .hint-source').forEach(el => {
+      el.classList.remove(...classes);
     });
+    
+    hintBarEl.textContent = '';
+    hintBarEl.classList.remove('active');
   }
   
   /**
@@ -136,6 +392,7 @@ const UI = (function() {
     digits[0].textContent = negative ? '-' : str[0];
     digits[1].textContent = str[negative ? 0 : 1];
     digits[2].textContent = str[negative ? 1 : 2];
+    mineCounterEl.setAttribute('aria-label', `${count} mine${count === 1 ? '' : 's'} left`);
   }
   
   /**
@@ -150,6 +407,7 @@ const UI = (function() {
     digits[0].textContent = str[0];
     digits[1].textContent = str[1];
     digits[2].textContent = str[2];
+    timerEl.setAttribute('aria-label', `${displayTime} second${displayTime === 1 ? '' : 's'}`);
   }
   
   /**
@@ -164,6 +422,29 @@ const UI = (function() {
     }
   }
   
+  /**
+   * Hide or show the board and hint bar while the game is paused
+   * @param {boolean} paused - Whether the game is paused
+   */
+  function setPaused(paused) {
+    boardEl.parentElement.classList.toggle('paused', paused);
+    
+    // A hint names cells, so it is kept out of sight along with the board
+    hintBarEl.classList.toggle('paused', paused);
+  }
+  
+  /**
+   * Mark the board while left-clicks and taps flag
+   * @param {boolean} on - Whether flag mode is on
+   */
+  function setFlagMode(on) {
+    boardEl.parentElement.classList.toggle('flag-mode', on);
+    
+    const toggle = document.getElementById('flagModeBtn');
+    toggle.setAttribute('aria-pressed', on ? 'true' : 'false');
+    toggle.textContent = on ? 'Tap: Flag' : 'Tap: Reveal';
+  }
+  
   /**
    * Set face button expression
    * @param {string} expression - Face type: 'smile', 'surprised', 'dead', 'cool'
@@ -209,7 +490,7 @@ const UI = (function() {
       grouped[item.type]++;
     }
     
-    for (const [type, count] of Object.entries(grouped)) {
+    Object.entries(grouped).forEach(([type, count], index) => {
       const slot = document.createElement('button');
       slot.className = 'powerup-slot';
       slot.dataset.type = type;
@@ -224,7 +505,7 @@ const UI = (function() {
       
       const tooltip = document.createElement('span');
       tooltip.className = 'tooltip';
-      tooltip.textContent = getPowerupTooltip(type);
+      tooltip.textContent = `${getPowerupTooltip(type)} [${index + 1}]`;
       slot.appendChild(tooltip);
       
       slot.addEventListener('click', () => {
@@ -232,7 +513,17 @@ const UI = (function() {
       });
       
       powerupInventoryEl.appendChild(slot);
-    }
+    });
+  }
+  
+  /**
+   * Highlight the inventory slot picked with a gamepad
+   * @param {number|null} index - Slot index, or null for none
+   */
+  function selectPowerupSlot(index) {
+    Array.from(powerupInventoryEl.children).forEach((slot, i) => {
+      slot.classList.toggle('active', i === index);
+    });
   }
   
   /**
@@ -325,20 +616,36 @@ const UI = (function() {
   /**
    * Show game over modal
    * @param {boolean} won - Whether player won
-   * @param {number} time - Time in seconds
+   * @param {number} timeMs - Time in milliseconds
    * @param {boolean} isHighScore - Whether this is a high score
+   * @param {Object} details - Extra result details
+   * @param {number} details.hints - Hints used during the game
    */
-  function showGameOver(won, time, isHighScore) {
+  function showGameOver(won, timeMs, isHighScore, details = {}) {
     const titleEl = document.getElementById('gameOverTitle');
     const messageEl = document.getElementById('gameOverMessage');
     const nameSection = document.getElementById('nameInputSection');
     
     if (won) {
       titleEl.textContent = 'You Win!';
-      messageEl.textContent = `Completed in ${time} seconds!`;
+      messageEl.textContent = `Completed in ${(timeMs / 1000).toFixed(3)} seconds!`;
+      
+      if (details.hints) {
+        messageEl.textContent += ` (${details.hints} hint${details.hints === 1 ? '' : 's'} used)`;
+      }
+      
+      if (details.fixedLayout) {
+        messageEl.textContent += ' This board was loaded from a layout, so this game does not count for high scores.';
+      } else if (details.disqualified) {
+        messageEl.textContent += ' A mine hit was undone, so this game does not count for high scores.';
+      }
+      
+      if (details.daily === 'practice') {
+        messageEl.textContent += ' You already played today\'s challenge, so this was practice.';
+      }
       
       if (isHighScore) {
-        messageEl.textContent += ' New high score!';
+        messageEl.textContent += details.daily ? ' Daily challenge cleared!' : ' New high score!';
         nameSection.style.display = 'block';
         document.getElementById('playerName').value = '';
         document.getElementById('playerName').focus();
@@ -348,10 +655,167 @@ const UI = (function() {
     } else {
       titleEl.textContent = 'Game Over';
       messageEl.textContent = 'You hit a mine!';
+      if (details.daily === 'scored') {
+        messageEl.textContent += ' That was today\'s scored attempt; try again tomorrow.';
+      }
       nameSection.style.display = 'none';
     }
     
+    document.getElementById('gameOverMetrics').textContent = details.metrics ? formatMetrics(details.metrics) : '';
+    
+    setReplaySaved(false);
     showModal('gameOverModal');
+    announce(`${titleEl.textContent} ${messageEl.textContent}`);
+  }
+  
+  /**
+   * Format a time with millisecond decimals
+   * @param {number} timeMs - Time in milliseconds
+   * @returns {string} Seconds, e.g. "12.345s"
+   */
+  function formatTime(timeMs) {
+    return `${(timeMs / 1000).toFixed(3)}s`;
+  }
+  
+  /**
+   * Format the time of a high score or daily result
+   * @param {Object} score - Entry with timeMs, or only whole seconds in time if saved before timeMs existed
+   * @returns {string} Time for display
+   */
+  function formatScoreTime(score) {
+    return score.timeMs !== undefined ? formatTime(score.timeMs) : `${score.time}s`;
+  }
+  
+  /**
+   * Describe a game's speed and efficiency metrics
+   * @param {Object} metrics - Metrics with bbbv, solved, bbbvPerSecond, ios, rqp and efficiency
+   * @returns {string} One line of metrics
+   */
+  function formatMetrics(metrics) {
+    const format = (value, digits) => value === null || value === undefined ? '-' : value.toFixed(digits);
+    const bbbv = metrics.solved < metrics.bbbv ? `${metrics.solved}/${metrics.bbbv}` : metrics.bbbv;
+    const efficiency = metrics.efficiency === null ? '-' : `${Math.round(metrics.efficiency * 100)}%`;
+    
+    return `3BV ${bbbv} | 3BV/s ${format(metrics.bbbvPerSecond, 2)} | IOS ${format(metrics.ios, 3)} | ` +
+      `RQP ${format(metrics.rqp, 2)} | Efficiency ${efficiency}`;
+  }
+  
+  /**
+   * Show whether the finished game's replay has been saved
+   * @param {boolean} saved - Whether it was saved
+   */
+  function setReplaySaved(saved) {
+    const button = document.getElementById('saveReplayBtn');
+    button.disabled = saved;
+    button.textContent = saved ? 'Replay Saved' : 'Save Replay';
+  }
+  
+  /**
+   * Describe a replay for lists
+   * @param {Object} replay - Replay
+   * @returns {string} Difficulty, size and result
+   */
+  function describeReplay(replay) {
+    const name = replay.difficulty.charAt(0).toUpperCase() + replay.difficulty.slice(1);
+    const size = `${replay.settings.rows}x${replay.settings.cols}`;
+    let result = 'Unfinished';
+    if (replay.result === 'won') {
+      result = `Won in ${formatScoreTime(replay)}`;
+    } else if (replay.result === 'lost') {
+      result = 'Lost';
+    }
+    return `${name} ${size}, ${result}`;
+  }
+  
+  /**
+   * Fill the saved replays list
+   * @param {Array} replays - Replays from Replay.loadAll
+   */
+  function updateReplayList(replays) {
+    const listEl = document.getElementById('replayList');
+    listEl.innerHTML = '';
+    
+    if (replays.length === 0) {
+      listEl.innerHTML = '<p class="no-scores">No saved replays</p>';
+      return;
+    }
+    
+    replays.forEach(replay => {
+      const entry = document.createElement('div');
+      entry.className = 'replay-entry';
+      entry.innerHTML = `
+        <span class="replay-name">${escapeHtml(describeReplay(replay))}</span>
+        <span class="replay-date">${escapeHtml(new Date(replay.date).toLocaleDateString())}</span>
+        <button class="btn replay-action" data-watch="${escapeHtml(replay.id)}">Watch</button>
+        <button class="btn replay-action" data-export="${escapeHtml(replay.id)}">Export</button>
+        <button class="btn replay-action" data-delete="${escapeHtml(replay.id)}">Delete</button>
+      `;
+      listEl.appendChild(entry);
+    });
+  }
+  
+  /**
+   * Show an error in the board import/export dialog
+   * @param {string} message - Error message, or empty to clear
+   */
+  function setBoardError(message) {
+    const errorEl = document.getElementById('boardError');
+    errorEl.textContent = message;
+    errorEl.style.display = message ? 'block' : 'none';
+  }
+  
+  /**
+   * Show an import error in the replays dialog
+   * @param {string} message - Error message, or empty to clear
+   */
+  function setReplayError(message) {
+    const errorEl = document.getElementById('replayError');
+    errorEl.textContent = message;
+    errorEl.style.display = message ? 'block' : 'none';
+  }
+  
+  /**
+   * Show the replay controls
+   * @param {Object} replay - Replay being watched
+   */
+  function showReplayBar(replay) {
+    document.getElementById('replayTitle').textContent = describeReplay(replay);
+    document.getElementById('replaySpeed').value = '1';
+    document.getElementById('replayBar').classList.add('active');
+  }
+  
+  /**
+   * Hide the replay controls
+   */
+  function hideReplayBar() {
+    document.getElementById('replayBar').classList.remove('active');
+  }
+  
+  /**
+   * Update the replay controls
+   * @param {Object} state - Playback state from Replay
+   */
+  function updateReplayBar(state) {
+    const seekEl = document.getElementById('replaySeek');
+    seekEl.max = state.duration;
+    seekEl.value = state.position;
+    
+    document.getElementById('replayPlay').textContent = state.playing ? 'Pause' : 'Play';
+    document.getElementById('replayTime').textContent =
+      `${(state.position / 1000).toFixed(1)} / ${(state.duration / 1000).toFixed(1)}s`;
+  }
+  
+  /**
+   * Ask whether to resume a saved game
+   * @param {Object} saved - Saved game
+   */
+  function showResumePrompt(saved) {
+    const name = saved.difficulty.charAt(0).toUpperCase() + saved.difficulty.slice(1);
+    const size = `${saved.settings.rows}x${saved.settings.cols}`;
+    
+    document.getElementById('resumeMessage').textContent =
+      `You have an unfinished ${name} game (${size}, ${saved.timer} second${saved.timer === 1 ? '' : 's'}). Resume it?`;
+    showModal('resumeModal');
   }
   
   /**
@@ -372,19 +836,73 @@ const UI = (function() {
       entry.className = 'highscore-entry';
       entry.innerHTML = `
         <span class="highscore-rank">${index + 1}.</span>
-        <span class="highscore-name">${escapeHtml(score.name)}</span>
-        <span class="highscore-time">${score.time}s</span>
+        <span class="highscore-name">${escapeHtml(score.name)}${score.hints ? ` <span class="highscore-hinted" title="${score.hints} hint${score.hints === 1 ? '' : 's'} used">(hinted)</span>` : ''}${score.pausedMs ? ` <span class="highscore-hinted" title="Paused for ${formatTime(score.pausedMs)}">(paused)</span>` : ''}</span>
+        <span class="highscore-time">${formatScoreTime(score)}</span>
+        <span class="highscore-speed" title="${score.bbbv ? `3BV ${score.bbbv}, IOS ${score.ios === null ? '-' : score.ios.toFixed(3)}, RQP ${score.rqp === null ? '-' : score.rqp.toFixed(2)}, efficiency ${Math.round(score.efficiency * 100)}%` : ''}">${score.bbbvPerSecond ? score.bbbvPerSecond.toFixed(2) : '-'}</span>
+        ${score.replayId ? `<button class="highscore-replay" data-watch="${escapeHtml(score.replayId)}" title="Watch replay">&#9654;</button>` : ''}
+      `;
+      listEl.appendChild(entry);
+    });
+  }
+  
+  /**
+   * Update the daily challenge tab of the high scores display
+   * @param {Array} results - Daily results, fastest first
+   * @param {number} streak - Current streak of daily wins
+   * @param {number} longestStreak - Longest streak of daily wins
+   */
+  function updateDailyScores(results, streak, longestStreak) {
+    const listEl = document.getElementById('highscoreList');
+    listEl.innerHTML = `<p class="daily-streak">Streak: ${streak} day${streak === 1 ? '' : 's'} (best ${longestStreak})</p>`;
+    
+    if (results.length === 0) {
+      listEl.innerHTML += '<p class="no-scores">No scores yet</p>';
+      return;
+    }
+    
+    results.slice(0, 10).forEach((result, index) => {
+      const entry = document.createElement('div');
+      entry.className = 'highscore-entry';
+      entry.innerHTML = `
+        <span class="highscore-rank">${index + 1}.</span>
+        <span class="highscore-name">${escapeHtml(result.name)} <span class="highscore-hinted">${escapeHtml(result.date)}</span>${result.hints ? ` <span class="highscore-hinted" title="${result.hints} hint${result.hints === 1 ? '' : 's'} used">(hinted)</span>` : ''}${result.pausedMs ? ` <span class="highscore-hinted" title="Paused for ${formatTime(result.pausedMs)}">(paused)</span>` : ''}</span>
+        <span class="highscore-time">${formatScoreTime(result)}</span>
       `;
       listEl.appendChild(entry);
     });
   }
   
+  /**
+   * Update the statistics display
+   * @param {Object} stats - Record from Stats.get
+   */
+  function updateStats(stats) {
+    const rows = [
+      ['Games played', stats.played],
+      ['Wins', stats.wins],
+      ['Win rate', `${Math.round(stats.winRate * 100)}%`],
+      ['Current streak', stats.currentStreak],
+      ['Longest streak', stats.longestStreak],
+      ['Best time', stats.bestTime === null ? '-' : formatTime(stats.bestTime)],
+      ['Average time', stats.averageTime === null ? '-' : formatTime(stats.averageTime)],
+      ['Cells revealed', stats.cellsRevealed],
+      ['Flags placed', stats.flagsPlaced],
+      ['Power-ups collected', stats.powerupsCollected],
+      ['Power-ups used', stats.powerupsUsed],
+      ['Shields consumed', stats.shieldsConsumed]
+    ];
+    
+    document.getElementById('statsTable').innerHTML = rows.map(([label, value]) =>
+      `<tr><td>${label}</td><td class="stats-value">${value}</td></tr>`
+    ).join('');
+  }
+  
   /**
    * Set active difficulty in menu
    * @param {string} difficulty - Difficulty level
    */
   function setActiveDifficulty(difficulty) {
-    document.querySelectorAll('[data-action="beginner"], [data-action="intermediate"], [data-action="expert"]').forEach(btn => {
+    document.querySelectorAll('[data-action="beginner"], [data-action="intermediate"], [data-action="expert"], [data-action="custom"]').forEach(btn => {
       const check = btn.querySelector('.checkmark');
       if (check) check.remove();
       
@@ -397,16 +915,95 @@ const UI = (function() {
     });
   }
   
+  /**
+   * Show custom difficulty dimensions on the high score tab
+   * @param {Object} settings - Custom rows, cols and mines
+   */
+  function setCustomScoreTab(settings) {
+    const tab = document.querySelector('.highscore-tabs .tab[data-difficulty="custom"]');
+    tab.textContent = `Custom ${settings.rows}x${settings.cols}/${settings.mines}`;
+  }
+  
+  /**
+   * Show a validation error in the custom difficulty dialog
+   * @param {string} message - Error message, or empty to clear
+   */
+  function setCustomError(message) {
+    const errorEl = document.getElementById('customError');
+    errorEl.textContent = message;
+    errorEl.style.display = message ? 'block' : 'none';
+  }
+  
+  /**
+   * Show a validation error in the controls dialog
+   * @param {string} message - Error message, or empty to clear
+   */
+  function setControlsError(message) {
+    const errorEl = document.getElementById('controlsError');
+    errorEl.textContent = message;
+    errorEl.style.display = message ? 'block' : 'none';
+  }
+  
+  /**
+   * Fill the theme list in the settings dialog
+   * @param {Array} themes - Themes from Themes.list
+   * @param {string} selectedId - ID of the theme to select
+   */
+  function updateThemeList(themes, selectedId) {
+    const selectEl = document.getElementById('themeSelect');
+    selectEl.innerHTML = '';
+    
+    themes.forEach(theme => {
+      const option = document.createElement('option');
+      option.value = theme.id;
+      option.textContent = theme.builtIn ? theme.name : `${theme.name} (imported)`;
+      selectEl.appendChild(option);
+    });
+    
+    selectEl.value = selectedId;
+    setThemeDeletable(themes.some(theme => theme.id === selectedId && !theme.builtIn));
+  }
+  
+  /**
+   * Enable the theme Delete button, which only applies to imported themes
+   * @param {boolean} deletable - Whether the selected theme was imported
+   */
+  function setThemeDeletable(deletable) {
+    document.getElementById('deleteTheme').disabled = !deletable;
+  }
+  
+  /**
+   * Show or clear the theme import error
+   * @param {string} message - Error message, or empty to clear
+   */
+  function setThemeError(message) {
+    const errorEl = document.getElementById('themeError');
+    errorEl.textContent = message;
+    errorEl.style.display = message ? 'block' : 'none';
+  }
+  
   /**
    * Update menu checkbox states
-   * @param {Object} state - State object with powerupsEnabled and soundEnabled
+   * @param {Object} state - State object with powerupsEnabled, soundEnabled, noGuess and showProbabilities
    */
   function updateMenuState(state) {
     const powerupCheck = document.getElementById('powerupCheck');
     const soundCheck = document.getElementById('soundCheck');
+    const noGuessCheck = document.getElementById('noGuessCheck');
+    const probabilityCheck = document.getElementById('probabilityCheck');
+    const practiceCheck = document.getElementById('practiceCheck');
     
     powerupCheck.style.visibility = state.powerupsEnabled ? 'visible' : 'hidden';
     soundCheck.style.visibility = state.soundEnabled ? 'visible' : 'hidden';
+    noGuessCheck.style.visibility = state.noGuess ? 'visible' : 'hidden';
+    probabilityCheck.style.visibility = state.showProbabilities ? 'visible' : 'hidden';
+    practiceCheck.style.visibility = state.practiceMode ? 'visible' : 'hidden';
+    document.getElementById('pauseCheck').style.visibility = state.paused ? 'visible' : 'hidden';
+    document.getElementById('pauseItem').disabled = !state.canPause;
+    document.getElementById('flagModeCheck').style.visibility = state.flagMode ? 'visible' : 'hidden';
+    
+    document.getElementById('undoItem').disabled = !state.canUndo;
+    document.getElementById('redoItem').disabled = !state.canRedo;
   }
   
   /**
@@ -438,15 +1035,36 @@ const UI = (function() {
   
   return {
     init,
+    setRenderer,
+    isCanvasMode,
     createBoard,
     updateCell,
+    describeCell,
+    announce,
     updateCellsCascade,
+    showProbabilities,
+    clearProbabilities,
+    showHint,
+    showMessage,
+    setReplaySaved,
+    updateReplayList,
+    setReplayError,
+    setBoardError,
+    showReplayBar,
+    hideReplayBar,
+    updateReplayBar,
+    clearHint,
+    setDetectorHighlight,
+    setCursor,
     updateMineCounter,
     updateTimer,
     setTimerFrozen,
+    setPaused,
+    setFlagMode,
     setFace,
     setShieldActive,
     updatePowerupInventory,
+    selectPowerupSlot,
     setPowerupsEnabled,
     shakeBoard,
     celebrate,
@@ -454,8 +1072,17 @@ const UI = (function() {
     hideModal,
     hideAllModals,
     showGameOver,
+    showResumePrompt,
     updateHighScores,
     setActiveDifficulty,
+    setCustomScoreTab,
+    updateDailyScores,
+    updateStats,
+    setCustomError,
+    setControlsError,
+    updateThemeList,
+    setThemeDeletable,
+    setThemeError,
     updateMenuState,
     getBoardElement,
     getFaceButton
@@ -0,0 +1,178 @@
+/**
+ * Viewport - Pinch-zoom and pan of the board on touch screens
+ *
+ * The board is scaled and moved with a CSS transform inside the board
+ * container, which is clipped to the space the screen has. A minimap in
+ * the corner shows which part of the board is in view.
+ */
+const Viewport = (function() {
+  let containerEl = null;
+  let boardEl = null;
+  let minimapEl = null;
+  let minimapViewEl = null;
+  let enabled = false;
+  let minCellSize = 24;
+  let maxCellSize = 44;
+  
+  let rows = 0;
+  let cols = 0;
+  let baseCellSize = 0; // Cell size in CSS pixels before scaling
+  let scale = 1;
+  let minScale = 1;
+  let maxScale = 1;
+  let x = 0; // Board offset within the container, in screen pixels
+  let y = 0;
+  let frame = null;
+  
+  /**
+   * Set up the viewport; it only acts on screens with a coarse pointer
+   * @param {HTMLElement} container - Board container, which clips the board
+   * @param {HTMLElement} board - Board element
+   * @param {HTMLElement} minimap - Minimap element
+   */
+  function init(container, board, minimap) {
+    containerEl = container;
+    boardEl = board;
+    minimapEl = minimap;
+    minimapViewEl = minimap.querySelector('.minimap-view');
+    enabled = !!(window.matchMedia && window.matchMedia('(pointer: coarse)').matches);
+    containerEl.classList.toggle('zoomable', enabled);
+    
+    window.addEventListener('resize', () => {
+      if (rows > 0) {
+        reset(rows, cols);
+      }
+    });
+  }
+  
+  /**
+   * Set the zoom range
+   * @param {Object} settings - minCellSize and mobileCellSize in pixels
+   */
+  function configure(settings) {
+    minCellSize = settings.minCellSize || minCellSize;
+    maxCellSize = settings.mobileCellSize || maxCellSize;
+  }
+  
+  /**
+   * Fit a new board: as much of it in view as the smallest cells allow
+   * @param {number} boardRows - Number of rows
+   * @param {number} boardCols - Number of columns
+   */
+  function reset(boardRows, boardCols) {
+    rows = boardRows;
+    cols = boardCols;
+    if (!enabled) return;
+    
+    // Measured from the height, which unlike the width does not stretch
+    // with the container; this holds for cells and a canvas alike
+    baseCellSize = boardEl.offsetHeight / rows;
+    if (!baseCellSize) return;
+    
+    // Measure the space available by asking for more than fits
+    containerEl.style.width = '100000px';
+    containerEl.style.height = '100000px';
+    const fitSize = Math.min(containerEl.clientWidth / cols, containerEl.clientHeight / rows);
+    
+    maxScale = Math.max(maxCellSize, minCellSize) / baseCellSize;
+    minScale = Math.min(Math.max(fitSize, minCellSize) / baseCellSize, maxScale);
+    scale = minScale;
+    x = 0;
+    y = 0;
+    render();
+  }
+  
+  /**
+   * Zoom around a point on the screen, keeping it under the fingers
+   * @param {number} factor - Change in scale, e.g. 1.1 to zoom in 10%
+   * @param {number} clientX - Screen x of the zoom centre
+   * @param {number} clientY - Screen y of the zoom centre
+   */
+  function zoomAt(factor, clientX, clientY) {
+    if (!enabled || !baseCellSize) return;
+    
+    const newScale = Math.min(maxScale, Math.max(minScale, scale * factor));
+    const rect = containerEl.getBoundingClientRect();
+    const px = clientX - rect.left - containerEl.clientLeft;
+    const py = clientY - rect.top - containerEl.clientTop;
+    
+    x = px - (px - x) * newScale / scale;
+    y = py - (py - y) * newScale / scale;
+    scale = newScale;
+    scheduleRender();
+  }
+  
+  /**
+   * Move the board
+   * @param {number} dx - Screen pixels to the right
+   * @param {number} dy - Screen pixels down
+   */
+  function panBy(dx, dy) {
+    if (!enabled || !baseCellSize) return;
+    
+    x += dx;
+    y += dy;
+    scheduleRender();
+  }
+  
+  /**
+   * Render on the next frame, so a burst of touch moves draws once
+   */
+  function scheduleRender() {
+    if (frame !== null) return;
+    
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      render();
+    });
+  }
+  
+  /**
+   * Size the container, keep the board inside it and draw the minimap
+   */
+  function render() {
+    const width = cols * baseCellSize * scale;
+    const height = rows * baseCellSize * scale;
+    
+    // The container's size includes its border
+    const borderX = containerEl.offsetWidth - containerEl.clientWidth;
+    const borderY = containerEl.offsetHeight - containerEl.clientHeight;
+    containerEl.style.width = `${width + borderX}px`;
+    containerEl.style.height = `${height + borderY}px`;
+    const viewWidth = containerEl.clientWidth;
+    const viewHeight = containerEl.clientHeight;
+    
+    x = Math.min(0, Math.max(viewWidth - width, x));
+    y = Math.min(0, Math.max(viewHeight - height, y));
+    boardEl.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+    
+    // The minimap is only needed while part of the board is out of view
+    const clipped = width > viewWidth + 1 || height > viewHeight + 1;
+    minimapEl.classList.toggle('active', clipped);
+    if (clipped) {
+      minimapEl.style.height = `${minimapEl.offsetWidth * rows / cols}px`;
+      minimapViewEl.style.left = `${-x / width * 100}%`;
+      minimapViewEl.style.top = `${-y / height * 100}%`;
+      minimapViewEl.style.width = `${Math.min(1, viewWidth / width) * 100}%`;
+      minimapViewEl.style.height = `${Math.min(1, viewHeight / height) * 100}%`;
+    }
+  }
+  
+  /**
+   * Check whether pinch-zoom is in use
+   * @returns {boolean} Whether the board can be zoomed and panned
+   */
+  function isEnabled() {
+    return enabled;
+  }
+  
+  return {
+    init,
+    configure,
+    reset,
+    zoomAt,
+    panBy,
+    isEnabled
+  };
+})();
+
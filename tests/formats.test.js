@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, createBoard } = require('./load');
+
+const game = load(['random', 'solver', 'board', 'formats'], { atob, btoa });
+
+/**
+ * Build a 4x5 board with a flag and an opened corner
+ * @returns {Object} Board state
+ */
+function createPlayedBoard() {
+  const board = createBoard(game, 4, 5, [4, 7, 13, 19]);
+  game.Board.revealCell(board, 3, 0);
+  game.Board.toggleFlag(board, 1, 2);
+  return board;
+}
+
+for (const format of ['ascii', 'mbf', 'base64']) {
+  test(`${format} keeps the board size and mines`, () => {
+    const text = game.BoardFormats.exportBoard(format, createPlayedBoard());
+    const { layout, error } = game.BoardFormats.importBoard(format, text);
+    
+    assert.equal(error, '');
+    assert.equal(layout.rows, 4);
+    assert.equal(layout.cols, 5);
+    assert.deepEqual(Array.from(layout.mines).sort((a, b) => a - b), [4, 7, 13, 19]);
+  });
+  
+  test(`${format} rejects a board without mines`, () => {
+    const text = game.BoardFormats.exportBoard(format, createBoard(game, 3, 3, []));
+    assert.equal(game.BoardFormats.importBoard(format, text).error, 'The board needs at least one mine.');
+  });
+}
+
+test('ascii keeps revealed cells and flags', () => {
+  const board = createPlayedBoard();
+  const { layout } = game.BoardFormats.importBoard('ascii', game.BoardFormats.exportBoard('ascii', board));
+  
+  const revealed = Array.from(board.cells.filter(cell => cell.isRevealed), cell => cell.index);
+  assert.deepEqual(Array.from(layout.revealed).sort((a, b) => a - b), revealed);
+  assert.deepEqual(Array.from(layout.flagged), [7]);
+});
+
+test('ascii rejects a board of nothing but mines', () => {
+  assert.equal(game.BoardFormats.importBoard('ascii', '**\n**').error, 'The board needs at least one safe cell.');
+});
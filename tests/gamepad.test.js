@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load');
+
+// Buttons of the standard gamepad layout
+const PAD_BUTTONS = { a: 0, b: 1, x: 2, y: 3, lb: 4, rb: 5, start: 9, down: 13, right: 15 };
+
+/**
+ * Set up Input on a canvas-style 9x9 board with a stubbed gamepad
+ * @returns {Object} The pad, what Input reported, and helpers to drive it
+ */
+function createGamepadInput() {
+  const pad = {
+    index: 0,
+    connected: false,
+    axes: [0, 0],
+    buttons: Array.from({ length: 17 }, () => ({ pressed: false }))
+  };
+  const listeners = {};
+  let frame = null;
+  let now = 0;
+  
+  const canvas = { focus: () => { document.activeElement = canvas; } };
+  const boardEl = {
+    dataset: { rows: '9', cols: '9' },
+    addEventListener() {},
+    removeEventListener() {},
+    contains: (el) => el === canvas,
+    querySelector: (selector) => selector === '[tabindex]' ? canvas : null
+  };
+  const document = {
+    activeElement: null,
+    addEventListener() {},
+    removeEventListener() {},
+    querySelector: () => null
+  };
+  
+  const { Input } = load(['input'], {
+    document,
+    window: { addEventListener: (type, fn) => { listeners[type] = fn; }, removeEventListener() {} },
+    navigator: { getGamepads: () => [pad.connected ? pad : null] },
+    requestAnimationFrame: (fn) => { frame = fn; return 1; },
+    cancelAnimationFrame: () => { frame = null; }
+  });
+  
+  const calls = [];
+  Input.init(boardEl, {
+    onReveal: (row, col) => calls.push(`reveal ${row},${col}`),
+    onFlag: (row, col) => calls.push(`flag ${row},${col}`),
+    onChord: (row, col) => calls.push(`chord ${row},${col}`),
+    onCursorMove: (row, col) => calls.push(`cursor ${row},${col}`),
+    onPowerupCycle: (step) => calls.push(`cycle ${step}`),
+    onPowerupUse: () => calls.push('use'),
+    onMenu: () => calls.push('menu')
+  });
+  
+  return {
+    pad,
+    calls,
+    isPolling: () => frame !== null,
+    connect() {
+      pad.connected = true;
+      listeners.gamepadconnected();
+    },
+    disconnect() {
+      pad.connected = false;
+      listeners.gamepaddisconnected({ gamepad: pad });
+    },
+    // Run one animation frame, a frame length after the last
+    poll() {
+      const run = frame;
+      frame = null;
+      now += 16;
+      run(now);
+    },
+    // Hold a button for one poll and let go on the next
+    press(name) {
+      pad.buttons[PAD_BUTTONS[name]].pressed = true;
+      this.poll();
+      pad.buttons[PAD_BUTTONS[name]].pressed = false;
+      this.poll();
+    }
+  };
+}
+
+test('polling starts when a gamepad connects and stops when it goes', () => {
+  const input = createGamepadInput();
+  assert.equal(input.isPolling(), false);
+  
+  input.connect();
+  assert.equal(input.isPolling(), true);
+  input.poll();
+  assert.equal(input.isPolling(), true);
+  
+  input.disconnect();
+  assert.equal(input.isPolling(), false);
+});
+
+test('the D-pad moves the cursor and the face buttons act on its cell', () => {
+  const input = createGamepadInput();
+  input.connect();
+  
+  // The first move puts the cursor on the board, the next ones move it
+  input.press('right');
+  input.press('right');
+  input.press('down');
+  input.press('a');
+  input.press('x');
+  input.press('y');
+  
+  assert.deepEqual(input.calls, ['cursor 0,0', 'cursor 0,1', 'cursor 1,1', 'reveal 1,1', 'flag 1,1', 'chord 1,1']);
+});
+
+test('a held direction repeats after a delay', () => {
+  const input = createGamepadInput();
+  input.connect();
+  input.press('right');
+  
+  input.pad.axes = [1, 0];
+  for (let i = 0; i < 20; i++) {
+    input.poll();
+  }
+  
+  // One move at once, then one after 300ms
+  assert.deepEqual(input.calls, ['cursor 0,0', 'cursor 0,1', 'cursor 0,2']);
+});
+
+test('shoulder buttons cycle power-ups, B uses one and Start opens the menu', () => {
+  const input = createGamepadInput();
+  input.connect();
+  
+  input.press('lb');
+  input.press('rb');
+  input.press('b');
+  input.press('start');
+  
+  assert.deepEqual(input.calls, ['cycle -1', 'cycle 1', 'use', 'menu']);
+});
@@ -0,0 +1,40 @@
+/**
+ * Load game modules into a sandbox, the way index.html loads them into a page
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+/**
+ * Run game scripts in a fresh context and return their modules
+ * @param {string[]} files - Script names without .js, in index.html order
+ * @param {Object} globals - Browser globals the scripts use, such as window
+ * @returns {Object} The context, where each module is found by name
+ */
+function load(files, globals = {}) {
+  const context = vm.createContext(Object.assign({ console }, globals));
+  const source = files.map(file => fs.readFileSync(path.join(JS_DIR, `${file}.js`), 'utf8')).join('\n');
+  
+  // Top-level consts stay in the script scope, so copy them onto the context
+  const names = source.match(/^const \w+/gm).map(line => line.slice(6));
+  vm.runInContext(`${source}\n${names.map(name => `this.${name} = ${name};`).join('\n')}`, context);
+  return context;
+}
+
+/**
+ * Build a board with mines at the given cells
+ * @param {Object} modules - Context from load, with Board
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @param {number[]} mines - Indices of the cells that hold a mine
+ * @returns {Object} Board state
+ */
+function createBoard(modules, rows, cols, mines) {
+  const board = modules.Board.create(rows, cols, mines.length, null, { seed: 1 });
+  modules.Board.setMines(board, mines);
+  return board;
+}
+
+module.exports = { load, createBoard };
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { load, createBoard } = require('./load');
+
+const game = load(['random', 'solver', 'board', 'powerups', 'replay']);
+const limits = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config.json'), 'utf8')).custom;
+
+/**
+ * Record a game on a 9x9 board with mines down the right-hand column
+ * @param {Object[]} moves - Moves as the game records them
+ * @param {Object} details - How the game ended
+ * @returns {Object} Finished recording
+ */
+function recordGame(moves, details) {
+  const mines = [8, 17, 26, 35, 44, 53, 62, 71, 80];
+  const board = createBoard(game, 9, 9, mines);
+  
+  game.Replay.startRecording({
+    difficulty: 'beginner',
+    settings: { rows: 9, cols: 9, mines: mines.length },
+    seed: board.seed,
+    powerupsEnabled: false,
+    powerupConfig: null,
+    noGuess: false
+  });
+  game.Replay.setBoard(game.Board.serialize(board), false);
+  moves.forEach(move => game.Replay.record(move));
+  game.Replay.finishRecording(Object.assign({ timeMs: 1000, hints: 0, disqualified: false }, details));
+  return game.Replay.getRecording();
+}
+
+test('an exported replay imports with the same moves and result', () => {
+  const recording = recordGame([{ type: 'reveal', row: 0, col: 0 }], { result: 'won' });
+  const { replay, error } = game.Replay.importReplay(game.Replay.exportReplay(recording, null), limits);
+  
+  assert.equal(error, '');
+  assert.equal(replay.result, 'won');
+  assert.equal(replay.events.length, 1);
+  assert.equal(replay.events[0].type, 'reveal');
+  assert.equal(JSON.stringify(replay.board), JSON.stringify(recording.board));
+});
+
+test('a replay whose moves do not reach its result is rejected', () => {
+  const recording = recordGame([{ type: 'reveal', row: 0, col: 0 }], { result: 'lost' });
+  const { replay, error } = game.Replay.importReplay(game.Replay.exportReplay(recording, null), limits);
+  
+  assert.equal(replay, null);
+  assert.notEqual(error, '');
+});
+
+test('taking back a mine hit needs the replay to be marked as practice', () => {
+  const moves = [
+    { type: 'reveal', row: 0, col: 8 },
+    { type: 'undo' },
+    { type: 'reveal', row: 0, col: 0 }
+  ];
+  
+  const unmarked = recordGame(moves, { result: 'won' });
+  assert.notEqual(game.Replay.importReplay(game.Replay.exportReplay(unmarked, null), limits).error, '');
+  
+  const marked = recordGame(moves, { result: 'won', disqualified: true });
+  assert.equal(game.Replay.importReplay(game.Replay.exportReplay(marked, null), limits).error, '');
+});
+
+test('a board bigger than the custom size limits is rejected', () => {
+  const recording = recordGame([{ type: 'reveal', row: 0, col: 0 }], { result: 'won' });
+  const small = Object.assign({}, limits, { maxRows: 8 });
+  assert.notEqual(game.Replay.importReplay(game.Replay.exportReplay(recording, null), small).error, '');
+});
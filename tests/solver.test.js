@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load, createBoard } = require('./load');
+
+const game = load(['random', 'solver', 'board']);
+
+test('a board that logic can clear is solvable', () => {
+  // The mine at the end of the row follows from the 1 next to it
+  const board = createBoard(game, 1, 4, [3]);
+  assert.equal(game.Solver.isSolvable(board, 0, 0), true);
+});
+
+test('a first click on a mine is never solvable', () => {
+  const board = createBoard(game, 1, 4, [3]);
+  assert.equal(game.Solver.isSolvable(board, 0, 3), false);
+});
+
+test('solve finds the cells the numbers prove', () => {
+  const board = createBoard(game, 1, 4, [3]);
+  game.Board.revealCell(board, 0, 0);
+  
+  const { safe, mines } = game.Solver.solve(board);
+  assert.deepEqual(Array.from(mines, cell => cell.index), [3]);
+  assert.equal(safe.length, 0);
+});
+
+test('probabilities split a mine evenly between cells nothing tells apart', () => {
+  // One mine among the three cells around a revealed corner
+  const board = createBoard(game, 2, 2, [3]);
+  game.Board.revealCell(board, 0, 0);
+  
+  const { probabilities, exact } = game.Solver.getProbabilities(board);
+  assert.equal(exact, true);
+  for (const index of [1, 2, 3]) {
+    assert.ok(Math.abs(probabilities.get(index) - 1 / 3) < 1e-9);
+  }
+  assert.equal(game.Solver.isSolvable(board, 0, 0), false);
+});
+
+test('probabilities are certain where solve is', () => {
+  const board = createBoard(game, 1, 4, [3]);
+  game.Board.revealCell(board, 0, 0);
+  
+  const { probabilities } = game.Solver.getProbabilities(board);
+  assert.equal(probabilities.get(3), 1);
+});